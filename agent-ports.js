@@ -0,0 +1,142 @@
+const http = require('http');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+/**
+ * Ports the agent listens on: the HTTP API and the WebSocket, plus their
+ * HTTPS and WSS twins when TLS is turned on (see local-tls.js).
+ *
+ * Configured with PROSYSTEM_AGENT_HTTP_PORT / PROSYSTEM_AGENT_WS_PORT, or
+ * { httpPort, wsPort } in agent-config.json in the user data directory;
+ * 21321 and 21322 otherwise. TLS is turned on with { tls: true } or
+ * PROSYSTEM_AGENT_TLS=1, on httpsPort / wssPort (PROSYSTEM_AGENT_HTTPS_PORT /
+ * PROSYSTEM_AGENT_WSS_PORT), 21421 and 21422 otherwise.
+ *
+ * When another application holds them, the agent moves every port up two at
+ * a time (21323/21324, 21325/21326, ...), and web apps find it by probing
+ * WELL_KNOWN_PATH on each HTTP port of that range.
+ */
+
+const DEFAULT_PORTS = { http: 21321, ws: 21322 };
+const DEFAULT_TLS_PORTS = { https: 21421, wss: 21422 };
+// Port pairs tried after the configured one
+const FALLBACK_PORT_PAIRS = 9;
+const AGENT_CONFIG_FILE = 'agent-config.json';
+
+const WELL_KNOWN_PATH = '/.well-known/prosystem-agent';
+const AGENT_NAME = 'prosystem-print-agent';
+const PROBE_TIMEOUT = 1000;
+
+const toPort = (value) => {
+  const port = Number(value);
+  return Number.isInteger(port) && port >= 1024 && port <= 65535 ? port : null;
+};
+
+const loadAgentConfig = (userDataPath) => readJsonFile(path.join(userDataPath, AGENT_CONFIG_FILE), {}) || {};
+
+function isTlsEnabled(config) {
+  const env = process.env.PROSYSTEM_AGENT_TLS;
+  if (env !== undefined && env !== '') return env === '1' || env.toLowerCase() === 'true';
+  return config.tls === true;
+}
+
+/**
+ * The configured ports; environment first, then agent-config.json.
+ *
+ * @param {string} userDataPath app.getPath('userData').
+ * @returns {{http: number, ws: number, https?: number, wss?: number}} https and
+ *   wss only when TLS is turned on.
+ */
+function loadPortConfig(userDataPath) {
+  const config = loadAgentConfig(userDataPath);
+  const httpPort = toPort(process.env.PROSYSTEM_AGENT_HTTP_PORT) || toPort(config.httpPort) || DEFAULT_PORTS.http;
+  const wsPort = toPort(process.env.PROSYSTEM_AGENT_WS_PORT) || toPort(config.wsPort) || httpPort + 1;
+  const ports = { http: httpPort, ws: wsPort };
+  const defaults = { ...DEFAULT_PORTS };
+
+  if (isTlsEnabled(config)) {
+    ports.https = toPort(process.env.PROSYSTEM_AGENT_HTTPS_PORT) || toPort(config.httpsPort) || DEFAULT_TLS_PORTS.https;
+    ports.wss = toPort(process.env.PROSYSTEM_AGENT_WSS_PORT) || toPort(config.wssPort) || ports.https + 1;
+    Object.assign(defaults, DEFAULT_TLS_PORTS);
+  }
+
+  if (new Set(Object.values(ports)).size !== Object.keys(ports).length) {
+    console.error(`Configured ports overlap (${Object.values(ports).join(', ')}); using the defaults`);
+    return defaults;
+  }
+  return ports;
+}
+
+/**
+ * Turns TLS on or off in agent-config.json, for the next start.
+ *
+ * @param {string} userDataPath app.getPath('userData').
+ * @param {boolean} enabled
+ */
+function setTlsEnabled(userDataPath, enabled) {
+  writeJsonFile(path.join(userDataPath, AGENT_CONFIG_FILE), { ...loadAgentConfig(userDataPath), tls: Boolean(enabled) });
+}
+
+/**
+ * The configured ports followed by the fallback ports, in the order they are tried.
+ *
+ * @param {{http: number, ws: number, https?: number, wss?: number}} ports
+ */
+function candidatePorts(ports) {
+  return Array.from({ length: FALLBACK_PORT_PAIRS + 1 }, (_, i) => Object.fromEntries(
+    Object.entries(ports).map(([name, port]) => [name, port + i * 2])
+  )).filter(pair => Object.values(pair).every(port => port <= 65535));
+}
+
+/**
+ * Asks whatever listens on an HTTP port whether it is the print agent.
+ *
+ * @returns {Promise<object|null>} Its WELL_KNOWN_PATH answer, or null when it is
+ *   not the agent (or a version from before ports were configurable).
+ */
+function probeAgent(port) {
+  return new Promise(resolve => {
+    const req = http.get({ hostname: '127.0.0.1', port, path: WELL_KNOWN_PATH, timeout: PROBE_TIMEOUT }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        try {
+          const info = JSON.parse(Buffer.concat(chunks).toString());
+          resolve(info && info.agent === AGENT_NAME ? info : null);
+        } catch (error) {
+          resolve(null);
+        }
+      });
+    });
+    req.on('error', () => resolve(null));
+    req.on('timeout', () => {
+      req.destroy();
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * A running agent anywhere in the port range.
+ *
+ * @param {{http: number, ws: number}} ports The configured ports.
+ * @returns {Promise<object|null>} Its WELL_KNOWN_PATH answer.
+ */
+async function findRunningAgent(ports) {
+  for (const pair of candidatePorts(ports)) {
+    const agent = await probeAgent(pair.http);
+    if (agent) return agent;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PORTS,
+  WELL_KNOWN_PATH,
+  AGENT_NAME,
+  loadPortConfig,
+  setTlsEnabled,
+  candidatePorts,
+  probeAgent,
+  findRunningAgent
+};
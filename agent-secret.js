@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Per-install secret that lets a newer copy of the agent ask the running one
+ * to shut down (POST /shutdown in the single-instance handoff). It is kept in
+ * the user data directory, readable only by the user, so neither web pages
+ * nor paired apps can stop the agent.
+ */
+
+const AGENT_SECRET_HEADER = 'x-agent-secret';
+const AGENT_SECRET_FILE = 'agent-secret';
+
+let cachedSecret = null;
+
+/**
+ * The install's secret, created the first time any copy of the agent asks.
+ *
+ * @param {string} userDataPath app.getPath('userData').
+ * @returns {string}
+ */
+function getAgentSecret(userDataPath) {
+  if (cachedSecret) return cachedSecret;
+
+  const filePath = path.join(userDataPath, AGENT_SECRET_FILE);
+  const readSecret = () => fs.readFileSync(filePath, 'utf8').trim();
+
+  try {
+    cachedSecret = readSecret();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (!cachedSecret) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(userDataPath, { recursive: true });
+    try {
+      // 'wx': when two copies start together, the first one's secret wins
+      fs.writeFileSync(filePath, secret, { mode: 0o600, flag: 'wx' });
+      cachedSecret = secret;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      cachedSecret = readSecret();
+    }
+  }
+  return cachedSecret;
+}
+
+/**
+ * Whether a request carries this install's secret.
+ *
+ * @param {string|undefined} value The AGENT_SECRET_HEADER of the request.
+ * @param {string} userDataPath app.getPath('userData').
+ */
+function isAgentSecret(value, userDataPath) {
+  const expected = Buffer.from(getAgentSecret(userDataPath));
+  const given = Buffer.from(String(value || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = { AGENT_SECRET_HEADER, getAgentSecret, isAgentSecret };
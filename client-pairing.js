@@ -0,0 +1,213 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+
+/**
+ * Web apps must be paired with the agent before they can print:
+ *
+ * 1. The app calls POST /pair and shows the 6-digit code it gets back.
+ * 2. The status window shows the same code; the cashier approves the request
+ *    if the codes match (or denies it).
+ * 3. The app polls GET /pair/:id and receives its token once, on approval.
+ *
+ * From then on requests carry `Authorization: Bearer <token>` (WebSocket:
+ * `?token=`), and when a request has an Origin header it must be the origin
+ * that paired. Only a SHA-256 hash of each token is stored.
+ *
+ * Emits 'pairing-requested' with a new request, 'revoked' with the ID of a
+ * removed client, and 'change' whenever the pending or paired lists change.
+ */
+
+const PAIRING_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DENIED: 'denied'
+};
+
+// How long a request waits for the cashier, and its answer for the web app
+const PAIRING_TIMEOUT = 2 * 60 * 1000;
+// Stops a page from flooding the status window with requests
+const MAX_PENDING_PAIRINGS = 5;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class ClientPairing extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function(): string} options.getStorePath Absolute path of the JSON
+   *   file of paired clients, read when first needed.
+   */
+  constructor({ getStorePath }) {
+    super();
+    this.getStorePath = getStorePath;
+    this.requests = new Map();
+    this.clients = null;
+  }
+
+  loadClients() {
+    if (!this.clients) {
+      const stored = readJsonFile(this.getStorePath(), []);
+      this.clients = Array.isArray(stored) ? stored : [];
+    }
+    return this.clients;
+  }
+
+  saveClients() {
+    writeJsonFile(this.getStorePath(), this.clients);
+  }
+
+  /**
+   * Starts pairing a web app. A page asking again replaces its earlier request.
+   *
+   * @param {string|null} origin Origin header of the request; null for local
+   *   applications that are not browsers.
+   * @param {string} [name] Name the app gives itself, shown to the cashier.
+   * @returns {object|null} The request, or null when too many are waiting.
+   */
+  requestPairing(origin, name) {
+    this.removeExpired();
+    this.listPending()
+      .filter(request => request.origin === origin)
+      .forEach(request => this.requests.delete(request.id));
+    if (this.listPending().length >= MAX_PENDING_PAIRINGS) return null;
+
+    const request = {
+      id: crypto.randomUUID(),
+      origin,
+      name: name ? String(name).slice(0, 100) : null,
+      code: String(crypto.randomInt(0, 1000000)).padStart(6, '0'),
+      status: PAIRING_STATUS.PENDING,
+      requestedAt: new Date().toISOString(),
+      expiresAt: Date.now() + PAIRING_TIMEOUT
+    };
+    this.requests.set(request.id, request);
+    setTimeout(() => this.removeExpired(), PAIRING_TIMEOUT + 1000).unref();
+
+    console.log(`Pairing requested by ${origin || 'a local application'} (code ${request.code})`);
+    this.emit('pairing-requested', request);
+    this.emit('change');
+    return request;
+  }
+
+  /**
+   * What happened to a request, asked by the page that made it. The token is
+   * handed out once; after that the request is forgotten.
+   *
+   * @returns {{status: string, token?: string}|null} null for unknown or expired requests.
+   */
+  getPairingResult(id, origin) {
+    this.removeExpired();
+    const request = this.requests.get(id);
+    if (!request || request.origin !== origin) return null;
+
+    if (request.status === PAIRING_STATUS.PENDING) return { status: request.status };
+    this.requests.delete(id);
+    return request.status === PAIRING_STATUS.APPROVED
+      ? { status: request.status, token: request.token }
+      : { status: request.status };
+  }
+
+  /** Requests waiting for the cashier. */
+  listPending() {
+    return [...this.requests.values()]
+      .filter(request => request.status === PAIRING_STATUS.PENDING && request.expiresAt > Date.now())
+      .map(({ id, origin, name, code, requestedAt }) => ({ id, origin, name, code, requestedAt }));
+  }
+
+  /** @returns {boolean} false when the request is no longer pending. */
+  approve(id) {
+    this.removeExpired();
+    const request = this.requests.get(id);
+    if (!request || request.status !== PAIRING_STATUS.PENDING) return false;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    this.loadClients().push({
+      id: crypto.randomUUID(),
+      origin: request.origin,
+      name: request.name,
+      tokenHash: hashToken(token),
+      pairedAt: new Date().toISOString()
+    });
+    this.saveClients();
+
+    Object.assign(request, { status: PAIRING_STATUS.APPROVED, token, expiresAt: Date.now() + PAIRING_TIMEOUT });
+    console.log(`Paired ${request.origin || 'a local application'}`);
+    this.emit('change');
+    return true;
+  }
+
+  /** @returns {boolean} false when the request is no longer pending. */
+  deny(id) {
+    this.removeExpired();
+    const request = this.requests.get(id);
+    if (!request || request.status !== PAIRING_STATUS.PENDING) return false;
+
+    Object.assign(request, { status: PAIRING_STATUS.DENIED, expiresAt: Date.now() + PAIRING_TIMEOUT });
+    this.emit('change');
+    return true;
+  }
+
+  /** Paired clients, without their token hashes. */
+  listClients() {
+    return this.loadClients().map(({ tokenHash, ...client }) => client);
+  }
+
+  /** @returns {boolean} false for an unknown client. */
+  revoke(clientId) {
+    const clients = this.loadClients();
+    const index = clients.findIndex(client => client.id === clientId);
+    if (index === -1) return false;
+
+    clients.splice(index, 1);
+    this.saveClients();
+    this.emit('revoked', clientId);
+    this.emit('change');
+    return true;
+  }
+
+  /** Whether any paired client uses this origin; decides the CORS headers. */
+  isPairedOrigin(origin) {
+    return Boolean(origin) && this.loadClients().some(client => client.origin === origin);
+  }
+
+  /**
+   * Checks a request's token and origin.
+   *
+   * @param {string|undefined} token
+   * @param {string|undefined} origin Origin header, if the request had one.
+   * @returns {{client: object}|{status: number, invalid: object}}
+   */
+  authenticate(token, origin) {
+    const tokenHash = token ? hashToken(token) : null;
+    const client = tokenHash && this.loadClients().find(candidate => candidate.tokenHash === tokenHash);
+    if (!client) {
+      return {
+        status: 401,
+        invalid: {
+          error: 'Not paired',
+          message: 'Pair with the agent (POST /pair) and send the token as "Authorization: Bearer <token>"'
+        }
+      };
+    }
+    if (origin && origin !== client.origin) {
+      return {
+        status: 403,
+        invalid: { error: 'Origin not allowed', message: `This token was paired for ${client.origin || 'a local application'}` }
+      };
+    }
+    return { client };
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    let changed = false;
+    this.requests.forEach((request, id) => {
+      if (request.expiresAt > now) return;
+      this.requests.delete(id);
+      changed = changed || request.status === PAIRING_STATUS.PENDING;
+    });
+    if (changed) this.emit('change');
+  }
+}
+
+module.exports = { ClientPairing, PAIRING_STATUS };
@@ -0,0 +1,124 @@
+const QRCode = require('qrcode');
+
+// GS k barcode system for each format. printBarcode always sends the
+// length-prefixed form, so these are the function B codes (65-73).
+const BARCODE_FORMATS = {
+  UPCA: 65,
+  UPCE: 66,
+  EAN13: 67,
+  EAN8: 68,
+  CODE39: 69,
+  ITF: 70,
+  CODABAR: 71,
+  CODE128: 73
+};
+
+const HRI_POSITIONS = { none: 0, above: 1, below: 2, both: 3 };
+
+const QR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+
+// Blank modules around a raster QR code; scanners need the quiet zone
+const QR_QUIET_ZONE = 4;
+
+/**
+ * Native ESC/POS barcode (GS k) followed by a line feed.
+ *
+ * @param {ThermalPrinter} printer
+ * @param {{data: string, format?: string, height?: number, width?: number, hri?: string}} barcode
+ *   height in dots (1-255), width is the module width (2-6), hri: none | above | below | both.
+ */
+function appendBarcode(printer, { data, format = 'CODE128', height, width, hri }) {
+  const settings = {
+    hriPos: HRI_POSITIONS[hri] ?? HRI_POSITIONS.below,
+    hriFont: 0,
+    width: Math.max(2, Math.min(6, width || 2)),
+    height: Math.max(1, Math.min(255, height || 80))
+  };
+
+  const symbology = String(format).toUpperCase();
+  if (symbology === 'CODE128') {
+    printer.code128(String(data), settings);
+  } else {
+    printer.printBarcode(String(data), BARCODE_FORMATS[symbology], settings);
+  }
+  printer.newLine();
+}
+
+/**
+ * QR code, either with the printer's own QR command (GS ( k) or as a raster
+ * image for older printers that only know barcodes.
+ *
+ * @param {ThermalPrinter} printer
+ * @param {string} data
+ * @param {{size?: number, correction?: string, raster?: boolean}} [options]
+ *   size is dots per module (1-8), correction one of L, M, Q, H.
+ */
+async function appendQrCode(printer, data, { size, correction, raster } = {}) {
+  const cellSize = Math.max(1, Math.min(8, size || 3));
+  const level = QR_CORRECTION_LEVELS.includes(correction) ? correction : 'M';
+
+  if (raster) {
+    await printer.printImageBuffer(await renderQrPng(String(data), cellSize, level));
+    return;
+  }
+
+  printer.printQR(String(data), { cellSize, correction: level });
+  printer.newLine();
+}
+
+/**
+ * GS ! character size, 1-8 times width and height. Bold and font are left as
+ * they are (ESC ! would reset them).
+ *
+ * node-thermal-printer names the arguments of setTextSize (height, width), but
+ * writes the first one to the high nibble, which the printer reads as the width.
+ *
+ * @param {ThermalPrinter} printer
+ * @param {{width?: number, height?: number}} size
+ */
+function setCharacterSize(printer, { width = 1, height = 1 } = {}) {
+  const clamp = (n) => Math.max(1, Math.min(8, Math.round(n)));
+  printer.setTextSize(clamp(width) - 1, clamp(height) - 1);
+}
+
+// Rows per GS v 0 command; small printers cannot buffer one very tall image
+const RASTER_CHUNK_ROWS = 256;
+
+/**
+ * Prints a 1-bit bitmap (see rasterizeImage) with GS v 0, split into bands so
+ * a full-length receipt image does not overflow the printer's buffer.
+ *
+ * @param {ThermalPrinter} printer
+ * @param {{widthBytes: number, height: number, bits: Buffer}} raster
+ */
+function appendRasterImage(printer, { widthBytes, height, bits }) {
+  for (let top = 0; top < height; top += RASTER_CHUNK_ROWS) {
+    const rows = Math.min(RASTER_CHUNK_ROWS, height - top);
+    printer.add(Buffer.from([0x1d, 0x76, 0x30, 0x00, widthBytes & 0xff, widthBytes >> 8, rows & 0xff, rows >> 8]));
+    printer.add(bits.subarray(top * widthBytes, (top + rows) * widthBytes));
+  }
+}
+
+/** 1-bit QR code PNG at `cellSize` dots per module, for GS v 0 raster printing. */
+async function renderQrPng(data, cellSize, level) {
+  const sharp = require('sharp');
+  const { modules } = QRCode.create(data, { errorCorrectionLevel: level });
+
+  const side = (modules.size + QR_QUIET_ZONE * 2) * cellSize;
+  const pixels = Buffer.alloc(side * side, 0xff);
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (!modules.get(row, col)) continue;
+      const top = (row + QR_QUIET_ZONE) * cellSize;
+      const left = (col + QR_QUIET_ZONE) * cellSize;
+      for (let y = top; y < top + cellSize; y++) {
+        pixels.fill(0x00, y * side + left, y * side + left + cellSize);
+      }
+    }
+  }
+
+  return sharp(pixels, { raw: { width: side, height: side, channels: 1 } }).png().toBuffer();
+}
+
+module.exports = { BARCODE_FORMATS, QR_CORRECTION_LEVELS, appendBarcode, appendQrCode, appendRasterImage, setCharacterSize };
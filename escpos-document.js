@@ -0,0 +1,275 @@
+const { createTwoColumnLine, getLineWidth, wrapText } = require('./receipt-format');
+const { validateAndConvertImage } = require('./thermal-image');
+const { BARCODE_FORMATS, appendBarcode, appendQrCode, setCharacterSize } = require('./escpos-codes');
+
+/**
+ * Generic ESC/POS documents: a list of commands built through the same
+ * node-thermal-printer instance as receipts, for kitchen tickets, shift
+ * reports, token slips and anything else that is not an invoice.
+ *
+ * Commands (all objects with a `type`):
+ *   text       { text, align?, bold?, size?, font?, underline?, invert?, wrap? }
+ *              One line; the optional styles apply to this line only
+ *   columns    { left, right } justified across the full width
+ *   align      { value: 'left' | 'center' | 'right' }
+ *   bold       { value: boolean }
+ *   underline  { value: boolean }
+ *   invert     { value: boolean }
+ *   font       { value: 'A' | 'B' }
+ *   size       { value: 'normal' | 'double-height' | 'double-width' | 'quad' | { width, height } }
+ *   line       { char? }
+ *   feed       { lines? }
+ *   table      { columns: [{ width?, align? }], rows: [[cell, ...]] }
+ *              Columns without a width share the remaining characters
+ *   barcode    { data, format?, height?, width?, hri? }
+ *   qr         { data, size?, correction?, raster? }  raster: true for printers without native QR
+ *   image      { source, threshold? }  data URI, base64 or http(s) URL; threshold 0-255
+ *   cut        { partial? }
+ *   drawer     { pin?: 2 | 5 }
+ */
+
+const MAX_COMMANDS = 2000;
+// Each feed line is a buffer copy; a few hundred rows fill a long receipt
+const MAX_FEED_LINES = 20;
+const MAX_TABLE_ROWS = 500;
+
+const NAMED_SIZES = {
+  normal: { width: 1, height: 1 },
+  'double-height': { width: 1, height: 2 },
+  'double-width': { width: 2, height: 1 },
+  quad: { width: 2, height: 2 }
+};
+
+const REQUIRED_FIELDS = {
+  text: 'text',
+  columns: 'left',
+  barcode: 'data',
+  qr: 'data',
+  image: 'source',
+  table: 'rows'
+};
+
+const COMMAND_TYPES = [
+  'text', 'columns', 'align', 'bold', 'underline', 'invert', 'font', 'size',
+  'line', 'feed', 'table', 'barcode', 'qr', 'image', 'cut', 'drawer'
+];
+
+/**
+ * ESC p m t1 t2: pulse the cash drawer kick-out connector.
+ * m selects pin 2 (0) or pin 5 (1); t1/t2 are on/off times in 2 ms units.
+ *
+ * @param {number} [pin=2] Drawer connector pin, 2 or 5.
+ * @returns {Buffer}
+ */
+function drawerKickCommand(pin = 2) {
+  return Buffer.from([0x1b, 0x70, Number(pin) === 5 ? 1 : 0, 25, 250]);
+}
+
+/**
+ * Appends a document's commands to the printer buffer.
+ *
+ * @param {ThermalPrinter} printer node-thermal-printer instance (buffer only).
+ * @param {object[]} commands Validated with validateEscPosDocument.
+ * @param {{imageThreshold?: number}} [options] Default threshold for image
+ *   commands, from the printer profile.
+ */
+async function buildEscPosDocument(printer, commands, { imageThreshold } = {}) {
+  for (const command of commands) {
+    await appendCommand(printer, command, imageThreshold);
+  }
+}
+
+async function appendCommand(printer, command, imageThreshold) {
+  const charWidth = printer.config.width;
+
+  switch (command.type) {
+    case 'text': {
+      const styles = ['align', 'bold', 'size', 'font', 'underline', 'invert']
+        .filter(key => command[key] !== undefined);
+
+      styles.forEach(key => applyStyle(printer, key, command[key]));
+      const text = String(command.text);
+      if (command.wrap) {
+        wrapText(text, getLineWidth(printer, command.font)).forEach(line => printer.println(line));
+      } else {
+        printer.println(text);
+      }
+      // Back to defaults so one styled line does not leak into the next
+      styles.forEach(key => applyStyle(printer, key, STYLE_DEFAULTS[key]));
+      return;
+    }
+
+    case 'columns':
+      printer.println(createTwoColumnLine(String(command.left ?? ''), String(command.right ?? ''), charWidth));
+      return;
+
+    case 'align':
+    case 'bold':
+    case 'underline':
+    case 'invert':
+    case 'font':
+    case 'size':
+      applyStyle(printer, command.type, command.value);
+      return;
+
+    case 'line':
+      printer.drawLine(command.char);
+      return;
+
+    case 'feed':
+      for (let i = 0; i < (command.lines || 1); i++) printer.newLine();
+      return;
+
+    case 'table':
+      appendTable(printer, command);
+      return;
+
+    case 'barcode':
+      appendBarcode(printer, command);
+      return;
+
+    case 'qr':
+      await appendQrCode(printer, command.data, command);
+      return;
+
+    case 'image': {
+      const image = await validateAndConvertImage(command.source, command.threshold ?? imageThreshold);
+      if (!image) throw new Error('Image could not be loaded');
+      await printer.printImageBuffer(image);
+      return;
+    }
+
+    case 'cut':
+      if (command.partial) printer.partialCut();
+      else printer.cut();
+      return;
+
+    case 'drawer':
+      printer.add(drawerKickCommand(command.pin));
+      return;
+  }
+}
+
+const STYLE_DEFAULTS = {
+  align: 'left',
+  bold: false,
+  size: 'normal',
+  font: 'A',
+  underline: false,
+  invert: false
+};
+
+function applyStyle(printer, key, value) {
+  switch (key) {
+    case 'align':
+      if (value === 'center') printer.alignCenter();
+      else if (value === 'right') printer.alignRight();
+      else printer.alignLeft();
+      return;
+    case 'bold':
+      printer.bold(Boolean(value));
+      return;
+    case 'underline':
+      printer.underline(Boolean(value));
+      return;
+    case 'invert':
+      printer.invert(Boolean(value));
+      return;
+    case 'font':
+      if (value === 'B') printer.setTypeFontB();
+      else printer.setTypeFontA();
+      return;
+    case 'size':
+      // GS ! only touches size, so bold and font survive a size change
+      setCharacterSize(printer, typeof value === 'string' ? NAMED_SIZES[value] || NAMED_SIZES.normal : value || {});
+      return;
+  }
+}
+
+/** Fixed-width columns first, the rest of the line split evenly between the others. */
+function appendTable(printer, { columns = [], rows }) {
+  const charWidth = printer.config.width;
+  const columnCount = columns.length || Math.max(...rows.map(row => row.length), 1);
+  const specs = Array.from({ length: columnCount }, (_, i) => columns[i] || {});
+
+  const fixed = specs.reduce((sum, spec) => sum + (spec.width || 0), 0);
+  const flexible = specs.filter(spec => !spec.width);
+  const share = flexible.length ? Math.floor(Math.max(0, charWidth - fixed) / flexible.length) : 0;
+  let slack = flexible.length ? Math.max(0, charWidth - fixed) - share * flexible.length : 0;
+
+  const widths = specs.map(spec => {
+    if (spec.width) return spec.width;
+    const width = share + (slack > 0 ? 1 : 0);
+    slack = Math.max(0, slack - 1);
+    return width;
+  });
+
+  rows.forEach(row => {
+    printer.tableCustom(specs.map((spec, i) => ({
+      text: String(row[i] ?? ''),
+      align: String(spec.align || 'left').toUpperCase(),
+      cols: widths[i]
+    })));
+  });
+}
+
+/** Whether a feed's line count is within MAX_FEED_LINES; templates use the same limit. */
+function isFeedLines(lines) {
+  return Number.isInteger(lines) && lines >= 1 && lines <= MAX_FEED_LINES;
+}
+
+/**
+ * Checks a document before it is queued.
+ *
+ * @returns {string|null} A description of the first problem, or null when valid.
+ */
+function validateEscPosDocument(commands) {
+  if (!Array.isArray(commands) || commands.length === 0) {
+    return 'commands must be a non-empty array';
+  }
+  if (commands.length > MAX_COMMANDS) {
+    return `A document can have at most ${MAX_COMMANDS} commands`;
+  }
+
+  for (let i = 0; i < commands.length; i++) {
+    const command = commands[i];
+    const at = `commands[${i}]`;
+
+    if (!command || typeof command !== 'object') return `${at} must be an object`;
+    if (!COMMAND_TYPES.includes(command.type)) return `${at} has unknown type "${command.type}"`;
+
+    const required = REQUIRED_FIELDS[command.type];
+    if (required && (command[required] === undefined || command[required] === null || command[required] === '')) {
+      return `${at} (${command.type}) needs "${required}"`;
+    }
+
+    if (command.type === 'barcode') {
+      const format = String(command.format || 'CODE128').toUpperCase();
+      if (BARCODE_FORMATS[format] === undefined) {
+        return `${at} has unsupported barcode format "${command.format}"`;
+      }
+    }
+    if (command.type === 'feed' && command.lines !== undefined && !isFeedLines(command.lines)) {
+      return `${at} (feed) lines must be a whole number from 1 to ${MAX_FEED_LINES}`;
+    }
+    if (command.type === 'table') {
+      if (!Array.isArray(command.rows) || !command.rows.every(Array.isArray)) {
+        return `${at} (table) rows must be an array of arrays`;
+      }
+      if (command.rows.length > MAX_TABLE_ROWS) {
+        return `${at} (table) can have at most ${MAX_TABLE_ROWS} rows`;
+      }
+    }
+    if (command.type === 'image' && command.threshold !== undefined
+      && !(Number.isInteger(command.threshold) && command.threshold >= 0 && command.threshold <= 255)) {
+      return `${at} (image) threshold must be a whole number from 0 to 255`;
+    }
+    if (command.type === 'drawer' && command.pin !== undefined && ![2, 5].includes(Number(command.pin))) {
+      return `${at} (drawer) pin must be 2 or 5`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { MAX_FEED_LINES, buildEscPosDocument, validateEscPosDocument, isFeedLines, drawerKickCommand };
@@ -0,0 +1,181 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const net = require('net');
+const { ThermalPrinter, PrinterTypes } = require('node-thermal-printer');
+const { renderEscPosText, renderEscPosHtml } = require('./escpos-preview');
+
+// Where ZplEscPrinter used to listen, so existing setups keep working
+const DEFAULT_EMULATOR_PORT = 8100;
+
+// Received jobs are kept in memory, newest first
+const MAX_EMULATOR_JOBS = 50;
+const MAX_JOB_BYTES = 8 * 1024 * 1024;
+
+// A client that keeps the connection open has finished its job after this long idle
+const JOB_IDLE_TIMEOUT = 2000;
+
+// Answers to status queries: online, cover closed, no error, paper present
+const STATUS_REPLIES = { dleEot: 0x12, gsR: 0x00 };
+
+/**
+ * Virtual ESC/POS printer for development.
+ *
+ * Listens on a local TCP port like a network receipt printer: each connection
+ * is one job, which is decoded with escpos-preview.js into text and print-size
+ * HTML and kept for the viewer window and the /emulator API.
+ *
+ * Emits 'job' with the job summary (see listJobs) for every job received.
+ */
+class EscPosEmulator extends EventEmitter {
+  /**
+   * @param {{charWidth: number, widthDots: number, dpi: number}} paper
+   *   Paper the emulator pretends to have, for laying out received jobs.
+   */
+  constructor(paper) {
+    super();
+    this.paper = paper;
+    this.jobs = [];
+    this.server = null;
+    this.port = null;
+
+    // Decoding needs node-thermal-printer's code page table
+    this.printerConfig = new ThermalPrinter({ type: PrinterTypes.EPSON, interface: 'tcp://localhost' }).printer.config;
+  }
+
+  /**
+   * @param {number} port
+   * @returns {Promise<boolean>} false when the port is taken (e.g. by an external emulator).
+   */
+  start(port) {
+    return new Promise(resolve => {
+      const server = net.createServer(socket => this.handleConnection(socket));
+
+      server.once('error', (err) => {
+        console.warn(`ESC/POS emulator could not listen on 127.0.0.1:${port}: ${err.message}`);
+        resolve(false);
+      });
+
+      server.listen(port, '127.0.0.1', () => {
+        this.server = server;
+        this.port = port;
+        console.log(`▶ ESC/POS emulator at tcp://127.0.0.1:${port}`);
+        resolve(true);
+      });
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  get isRunning() {
+    return this.server !== null;
+  }
+
+  handleConnection(socket) {
+    const chunks = [];
+    let size = 0;
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      socket.destroy();
+      if (size > 0 && !isStatusQueryOnly(Buffer.concat(chunks))) {
+        this.addJob(Buffer.concat(chunks), socket.remoteAddress).catch(err => {
+          console.error('ESC/POS emulator could not decode a job:', err);
+        });
+      }
+    };
+
+    socket.setTimeout(JOB_IDLE_TIMEOUT);
+    socket.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_JOB_BYTES) {
+        console.warn(`ESC/POS emulator dropped a job larger than ${MAX_JOB_BYTES} bytes`);
+        chunks.length = 0;
+        size = 0;
+        finish();
+        return;
+      }
+      chunks.push(chunk);
+      answerStatusQueries(socket, chunk);
+    });
+    socket.on('end', finish);
+    socket.on('timeout', finish);
+    socket.on('error', (err) => {
+      console.warn('ESC/POS emulator connection error:', err.message);
+      finish();
+    });
+  }
+
+  /**
+   * Decodes and stores one job. Also usable directly, without a socket.
+   *
+   * @param {Buffer} buffer ESC/POS bytes.
+   * @param {string} [source] Where the job came from.
+   * @returns {Promise<object>} The stored job.
+   */
+  async addJob(buffer, source = 'local') {
+    const { charWidth, widthDots, dpi } = this.paper;
+    const job = {
+      id: crypto.randomUUID(),
+      receivedAt: new Date().toISOString(),
+      source,
+      bytes: buffer.length,
+      text: await renderEscPosText(buffer, { charWidth, printerConfig: this.printerConfig }),
+      html: await renderEscPosHtml(buffer, { charWidth, widthDots, dpi, printerConfig: this.printerConfig })
+    };
+
+    this.jobs.unshift(job);
+    this.jobs.length = Math.min(this.jobs.length, MAX_EMULATOR_JOBS);
+
+    console.log(`ESC/POS emulator received job ${job.id} (${job.bytes} bytes)`);
+    this.emit('job', summarizeJob(job));
+    return job;
+  }
+
+  /** Job summaries, newest first, without the HTML. */
+  listJobs() {
+    return this.jobs.map(summarizeJob);
+  }
+
+  getJob(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  clear() {
+    this.jobs = [];
+  }
+}
+
+/** Replies to DLE EOT n and GS r n the way a healthy printer would. */
+function answerStatusQueries(socket, chunk) {
+  for (let i = 0; i < chunk.length - 2; i++) {
+    if (chunk[i] === 0x10 && chunk[i + 1] === 0x04) socket.write(Buffer.from([STATUS_REPLIES.dleEot]));
+    if (chunk[i] === 0x1d && chunk[i + 1] === 0x72) socket.write(Buffer.from([STATUS_REPLIES.gsR]));
+  }
+}
+
+/** Status polls (see printer-status.js) aren't print jobs. */
+function isStatusQueryOnly(buffer) {
+  for (let i = 0; i < buffer.length; i += 3) {
+    const isQuery = (buffer[i] === 0x10 && buffer[i + 1] === 0x04) || (buffer[i] === 0x1d && buffer[i + 1] === 0x72);
+    if (!isQuery) return false;
+  }
+  return true;
+}
+
+function summarizeJob({ id, receivedAt, source, bytes, text }) {
+  return { id, receivedAt, source, bytes, text };
+}
+
+/** TCP port of the development emulator: ESCPOS_EMULATOR_PORT or 8100. */
+function getEmulatorPort() {
+  return Number(process.env.ESCPOS_EMULATOR_PORT) || DEFAULT_EMULATOR_PORT;
+}
+
+module.exports = { EscPosEmulator, getEmulatorPort };
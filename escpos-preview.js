@@ -0,0 +1,304 @@
+const iconv = require('iconv-lite');
+const { HtmlReceiptPrinter } = require('./receipt-html');
+
+/**
+ * Reads back the ESC/POS bytes we generate and replays them as calls on a
+ * printer-like target, so a receipt can be previewed without paper:
+ *
+ *   TextPreview          plain text, one line per printed line
+ *   HtmlReceiptPrinter   HTML for a PNG rendered by Chromium (see receipt-html.js)
+ *
+ * Only the commands node-thermal-printer and our modules emit are understood.
+ * Any other ESC/GS command is skipped along with its first parameter byte.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const DLE = 0x10;
+const LF = 0x0a;
+
+const QR_CORRECTIONS = { 48: 'L', 49: 'M', 50: 'Q', 51: 'H' };
+const ALIGN_METHODS = ['alignLeft', 'alignCenter', 'alignRight'];
+
+/**
+ * ESC t number → iconv encoding, from node-thermal-printer's EPSON config.
+ *
+ * @param {object} printerConfig `thermalPrinter.printer.config`
+ * @returns {Map<number, string>}
+ */
+function codePageEncodings(printerConfig) {
+  const encodings = new Map();
+  Object.entries(printerConfig.CODE_PAGES).forEach(([name, encoding]) => {
+    const select = printerConfig[`CODE_PAGE_${name}`];
+    if (select && select[0] === ESC && select[1] === 0x74 && !encodings.has(select[2])) {
+      encodings.set(select[2], encoding);
+    }
+  });
+  return encodings;
+}
+
+/** GS v 0 bitmap (1 = black) as a PNG, for targets that take images. */
+async function rasterToPng(widthBytes, height, bits) {
+  const sharp = require('sharp');
+  const width = widthBytes * 8;
+  const pixels = Buffer.alloc(width * height, 0xff);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (bits[y * widthBytes + (x >> 3)] & (0x80 >> (x & 7))) pixels[y * width + x] = 0x00;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+/**
+ * Replays an ESC/POS buffer onto `target`.
+ *
+ * The target needs the node-thermal-printer methods used here (print,
+ * newLine, bold, setTextSize, printBarcode, printQR, printImageBuffer, cut,
+ * ...). `openCashDrawer(pin)` is optional.
+ *
+ * @param {Buffer} buffer
+ * @param {object} target
+ * @param {{printerConfig: object}} options printerConfig is `thermalPrinter.printer.config`.
+ */
+async function replayEscPos(buffer, target, { printerConfig }) {
+  const encodings = codePageEncodings(printerConfig);
+  let encoding = encodings.get(0);
+  let barcode = { hriPos: 0, width: 3, height: 162 };
+  let qr = { cellSize: 3, correction: 'M', data: '' };
+
+  let i = 0;
+  let text = [];
+  const flushText = () => {
+    if (text.length === 0) return;
+    target.print(iconv.decode(Buffer.from(text), encoding));
+    text = [];
+  };
+  const reset = () => {
+    target.alignLeft();
+    target.setTextNormal();
+    target.invert(false);
+    encoding = encodings.get(0);
+  };
+
+  while (i < buffer.length) {
+    const byte = buffer[i];
+
+    if (byte >= 0x20 || byte === 0x09) {
+      text.push(byte === 0x09 ? 0x20 : byte);
+      i++;
+      continue;
+    }
+    flushText();
+
+    if (byte === LF) {
+      target.newLine();
+      i++;
+    } else if (byte === ESC) {
+      i = replayEscCommand(buffer, i, target, {
+        reset,
+        setEncoding: (n) => { encoding = encodings.get(n) || encoding; }
+      });
+    } else if (byte === GS) {
+      const command = buffer[i + 1];
+
+      if (command === 0x6b) { // GS k barcode
+        const system = buffer[i + 2];
+        let data;
+        if (system <= 6) { // function A: NUL terminated
+          const end = buffer.indexOf(0x00, i + 3);
+          data = buffer.subarray(i + 3, end < 0 ? buffer.length : end);
+          i = (end < 0 ? buffer.length : end + 1);
+        } else {
+          const length = buffer[i + 3];
+          data = buffer.subarray(i + 4, i + 4 + length);
+          i += 4 + length;
+        }
+        let value = data.toString('latin1');
+        if (system === 73) value = value.replace(/^\{[ABC]/, ''); // CODE128 code set prefix
+        await target.printBarcode(value, system <= 6 ? system + 65 : system, { ...barcode });
+      } else if (command === 0x28 && buffer[i + 2] === 0x6b) { // GS ( k QR code
+        const length = buffer[i + 3] | (buffer[i + 4] << 8);
+        const body = buffer.subarray(i + 5, i + 5 + length);
+        i += 5 + length;
+        if (body[0] !== 49) continue; // cn 49 = QR code
+        if (body[1] === 67) qr.cellSize = body[2];
+        if (body[1] === 69) qr.correction = QR_CORRECTIONS[body[2]] || 'M';
+        if (body[1] === 80) qr.data = body.subarray(3).toString('utf8');
+        if (body[1] === 81) await target.printQR(qr.data, { cellSize: qr.cellSize, correction: qr.correction });
+      } else if (command === 0x76 && buffer[i + 2] === 0x30) { // GS v 0 raster image
+        const widthBytes = buffer[i + 4] | (buffer[i + 5] << 8);
+        const height = buffer[i + 6] | (buffer[i + 7] << 8);
+        const bits = buffer.subarray(i + 8, i + 8 + widthBytes * height);
+        i += 8 + widthBytes * height;
+        await target.printImageBuffer(await rasterToPng(widthBytes, height, bits));
+      } else if (command === 0x56) { // GS V cut; functions 65/66 take a feed byte
+        const mode = buffer[i + 2];
+        if (mode === 1 || mode === 49 || mode === 66) target.partialCut();
+        else target.cut();
+        i += mode >= 65 ? 4 : 3;
+      } else if (command === 0x21) { // GS ! size: high nibble width, low nibble height
+        target.setTextSize(buffer[i + 2] >> 4, buffer[i + 2] & 0x0f);
+        i += 3;
+      } else if (command === 0x42) {
+        target.invert(buffer[i + 2] & 1);
+        i += 3;
+      } else if (command === 0x48) {
+        barcode.hriPos = buffer[i + 2] & 3;
+        i += 3;
+      } else if (command === 0x77) {
+        barcode.width = buffer[i + 2];
+        i += 3;
+      } else if (command === 0x68) {
+        barcode.height = buffer[i + 2];
+        i += 3;
+      } else {
+        i += 3; // GS f, GS r and friends
+      }
+    } else if (byte === DLE && buffer[i + 1] === 0x04) {
+      i += 3; // DLE EOT status request
+    } else {
+      i++; // CR and other control characters
+    }
+  }
+  flushText();
+
+  return target;
+}
+
+/** One ESC command; returns the index after it. */
+function replayEscCommand(buffer, i, target, { reset, setEncoding }) {
+  const command = buffer[i + 1];
+  const n = buffer[i + 2];
+
+  switch (command) {
+    case 0x40: // ESC @
+      reset();
+      return i + 2;
+    case 0x61: // ESC a
+      target[ALIGN_METHODS[n % 48] || 'alignLeft']();
+      return i + 3;
+    case 0x45: // ESC E
+      target.bold(n & 1);
+      return i + 3;
+    case 0x2d: // ESC -
+      target.underline(n % 48 > 0);
+      return i + 3;
+    case 0x4d: // ESC M
+      if (n % 48 === 1) target.setTypeFontB();
+      else target.setTypeFontA();
+      return i + 3;
+    case 0x21: // ESC ! print mode
+      if (n & 0x30) target.setPrintMode(n & 0x20 ? 2 : 1, n & 0x10 ? 2 : 1);
+      else target.setTextNormal();
+      if (n & 0x01) target.setTypeFontB();
+      if (n & 0x08) target.bold(true);
+      if (n & 0x80) target.underline(true);
+      return i + 3;
+    case 0x74: // ESC t code page
+      setEncoding(n);
+      return i + 3;
+    case 0x64: // ESC d feed n lines
+      for (let line = 0; line < n; line++) target.newLine();
+      return i + 3;
+    case 0x70: // ESC p drawer kick
+      if (target.openCashDrawer) target.openCashDrawer(n === 1 ? 5 : 2);
+      return i + 5;
+    case 0x32: // ESC 2 default line spacing
+    case 0x42: // ESC B beep (no parameters in node-thermal-printer)
+      return i + 2;
+    default:
+      return i + 3;
+  }
+}
+
+/**
+ * Plain-text stand-in for node-thermal-printer: aligned lines of the
+ * printer's character width, with images, codes and cuts as [markers].
+ */
+class TextPreview {
+  constructor(charWidth) {
+    this.charWidth = charWidth;
+    this.lines = [];
+    this.line = '';
+    this.align = 'left';
+    this.widthMultiplier = 1;
+  }
+
+  alignLeft() { this.align = 'left'; }
+  alignCenter() { this.align = 'center'; }
+  alignRight() { this.align = 'right'; }
+  bold() { }
+  underline() { }
+  invert() { }
+  setTypeFontA() { }
+  setTypeFontB() { }
+  setPrintMode(width) { this.widthMultiplier = width; }
+  setTextNormal() { this.widthMultiplier = 1; }
+  setTextSize(width) { this.widthMultiplier = width + 1; }
+
+  print(text) {
+    this.line += text;
+  }
+
+  newLine() {
+    // The printer wraps once a line fills the paper; double-width text fills it sooner
+    const perLine = Math.max(1, Math.floor(this.charWidth / this.widthMultiplier));
+    const text = this.line.replace(/\s+$/, '');
+    this.line = '';
+
+    if (text === '') {
+      this.lines.push('');
+      return;
+    }
+    for (let start = 0; start < text.length; start += perLine) {
+      this.pushAligned(text.slice(start, start + perLine));
+    }
+  }
+
+  pushAligned(text) {
+    const free = Math.max(0, this.charWidth - text.length);
+    const left = this.align === 'right' ? free : this.align === 'center' ? Math.floor(free / 2) : 0;
+    this.lines.push(' '.repeat(left) + text);
+  }
+
+  marker(label) {
+    if (this.line) this.newLine();
+    this.pushAligned(`[${label}]`);
+  }
+
+  printBarcode(data) { this.marker(`barcode ${data}`); }
+  printQR(data) { this.marker(`QR ${data}`); }
+  printImageBuffer(png) { this.marker(`image ${png.readUInt32BE(16)}x${png.readUInt32BE(20)}`); }
+  cut() { this.marker('cut'); }
+  partialCut() { this.marker('partial cut'); }
+  openCashDrawer(pin) { this.marker(`open drawer, pin ${pin}`); }
+
+  toString() {
+    if (this.line) this.newLine();
+    return this.lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * @param {Buffer} buffer ESC/POS bytes.
+ * @param {{charWidth: number, printerConfig: object}} options
+ * @returns {Promise<string>}
+ */
+async function renderEscPosText(buffer, { charWidth, printerConfig }) {
+  const preview = await replayEscPos(buffer, new TextPreview(charWidth), { printerConfig });
+  return preview.toString();
+}
+
+/**
+ * @param {Buffer} buffer ESC/POS bytes.
+ * @param {{charWidth: number, widthDots: number, dpi: number, printerConfig: object}} options
+ * @returns {Promise<string>} HTML laid out to print size (see HtmlReceiptPrinter).
+ */
+async function renderEscPosHtml(buffer, { charWidth, widthDots, dpi, printerConfig }) {
+  const printer = await replayEscPos(buffer, new HtmlReceiptPrinter({ charWidth, widthDots, dpi }), { printerConfig });
+  return printer.toHtml();
+}
+
+module.exports = { replayEscPos, renderEscPosText, renderEscPosHtml };
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Reads and parses a JSON file, returning the fallback when the file is
+ * missing or unreadable (a half-written file after a crash must not stop the
+ * agent from starting).
+ *
+ * @param {string} filePath Absolute path to the JSON file.
+ * @param {*} fallback Value returned when the file cannot be used.
+ * @returns {*}
+ */
+function readJsonFile(filePath, fallback) {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read ${filePath}:`, error.message);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Writes a value as JSON through a temp file + rename so a crash mid-write
+ * never leaves a truncated file behind.
+ *
+ * @param {string} filePath Absolute path to the JSON file.
+ * @param {*} value Any JSON-serialisable value.
+ */
+function writeJsonFile(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -0,0 +1,188 @@
+const { createTwoColumnLine, formatTime, wrapText } = require('./receipt-format');
+const { printTextLine } = require('./raster-text');
+const { setCharacterSize } = require('./escpos-codes');
+
+/**
+ * Kitchen order tickets: an order is split by station and each station gets
+ * its own large-print ticket, built with node-thermal-printer like receipts.
+ *
+ *   order {
+ *     number?, table?, server?, type?  ('Dine in', 'Takeaway', ...)
+ *     time?     When the order was taken; defaults to when it is queued
+ *     notes?    Printed on every station's ticket
+ *     items: [{
+ *       name, quantity?,
+ *       station?    Station that makes the item, or
+ *       category?   looked up in `categories`, or used as the station itself
+ *       modifiers?  ['No onions', ...]
+ *       notes?
+ *       change?     'added' | 'void' when the order is changed after it was sent
+ *     }]
+ *   }
+ */
+
+const ITEM_CHANGES = ['added', 'void'];
+const MAX_ITEMS = 500;
+
+// GS ! sizes: items are read from across the kitchen
+const TITLE_SIZE = { width: 2, height: 2 };
+const ITEM_SIZE = { width: 2, height: 2 };
+const DETAIL_SIZE = { width: 1, height: 2 };
+
+/**
+ * @param {object} item Order item.
+ * @param {Object<string, string>} [categories] Category to station.
+ */
+function getItemStation(item, categories = {}) {
+  return item.station || categories[item.category] || item.category;
+}
+
+/**
+ * Order items grouped by station, in the order stations first appear.
+ *
+ * @returns {{station: string, items: object[]}[]}
+ */
+function splitOrderByStation(order, categories) {
+  const stations = new Map();
+  order.items.forEach(item => {
+    const station = getItemStation(item, categories);
+    if (!stations.has(station)) stations.set(station, []);
+    stations.get(station).push(item);
+  });
+  return [...stations].map(([station, items]) => ({ station, items }));
+}
+
+/**
+ * Checks an order, or one station's part of it, before it is queued.
+ *
+ * @returns {string|null} A description of the first problem, or null when valid.
+ */
+function validateKitchenOrder(order) {
+  if (!order || typeof order !== 'object') return 'order must be an object';
+  if (!Array.isArray(order.items) || order.items.length === 0) return 'order.items must be a non-empty array';
+  if (order.items.length > MAX_ITEMS) return `An order can have at most ${MAX_ITEMS} items`;
+
+  for (let i = 0; i < order.items.length; i++) {
+    const item = order.items[i];
+    const at = `order.items[${i}]`;
+
+    if (!item || typeof item !== 'object') return `${at} must be an object`;
+    if (item.name === undefined || item.name === null || item.name === '') return `${at} needs "name"`;
+    if (item.quantity !== undefined && !(Number(item.quantity) > 0)) return `${at} quantity must be a positive number`;
+    if (item.modifiers !== undefined && !Array.isArray(item.modifiers)) return `${at} modifiers must be an array`;
+    if (item.change !== undefined && !ITEM_CHANGES.includes(item.change)) {
+      return `${at} change must be one of: ${ITEM_CHANGES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks every item of a valid order has a station to go to.
+ *
+ * @param {object} order
+ * @param {Object<string, string>} [categories] Category to station.
+ * @returns {string|null} A description of the first problem, or null when valid.
+ */
+function validateKitchenRouting(order, categories) {
+  if (categories !== undefined && (!categories || typeof categories !== 'object' || Array.isArray(categories))) {
+    return 'categories must map category names to stations';
+  }
+  const unrouted = order.items.findIndex(item => !getItemStation(item, categories));
+  return unrouted === -1 ? null : `order.items[${unrouted}] needs a station or category`;
+}
+
+/**
+ * Appends one station's ticket to the printer buffer, ending with a cut.
+ *
+ * @param {ThermalPrinter} printer node-thermal-printer instance (buffer only).
+ * @param {{station: string, order: object}} ticket order.items are this station's items.
+ */
+async function buildKitchenTicket(printer, { station, order }) {
+  const charWidth = printer.config.width;
+  const changes = new Set(order.items.map(item => item.change).filter(Boolean));
+
+  printer.alignCenter();
+  printer.bold(true);
+  setCharacterSize(printer, TITLE_SIZE);
+  await printTextLine(printer, String(station).toUpperCase(), { bold: true, size: TITLE_SIZE });
+
+  // Changes to an order that was already sent, so it is not made twice
+  if (changes.size > 0) {
+    const allSame = changes.size === 1 && order.items.every(item => item.change);
+    printer.invert(true);
+    printer.println(allSame ? ` ${[...changes][0].toUpperCase()} ` : ' ORDER CHANGED ');
+    printer.invert(false);
+  }
+
+  printer.alignLeft();
+  setCharacterSize(printer, DETAIL_SIZE);
+  const detailStyle = { bold: true, size: DETAIL_SIZE };
+  const hasTable = order.table !== undefined && order.table !== null && order.table !== '';
+  const heading = hasTable ? `Table ${order.table}` : order.type || '';
+  const number = order.number ? `#${order.number}` : '';
+  if (heading || number) {
+    await printTextLine(printer, createTwoColumnLine(String(heading), number, charWidth), detailStyle);
+  }
+  printer.bold(false);
+  const server = order.server ? `Server: ${order.server}` : '';
+  if (server || order.time) {
+    await printTextLine(printer, createTwoColumnLine(server, formatTime(order.time), charWidth), { size: DETAIL_SIZE });
+  }
+  if (hasTable && order.type) await printTextLine(printer, String(order.type), { size: DETAIL_SIZE });
+  setCharacterSize(printer, { width: 1, height: 1 });
+  printer.drawLine();
+
+  for (const item of order.items) {
+    await appendItem(printer, item);
+  }
+
+  if (order.notes) {
+    setCharacterSize(printer, { width: 1, height: 1 });
+    printer.drawLine();
+    setCharacterSize(printer, DETAIL_SIZE);
+    printer.bold(true);
+    for (const line of wrapText(`Notes: ${order.notes}`, charWidth)) {
+      await printTextLine(printer, line, { bold: true, size: DETAIL_SIZE });
+    }
+    printer.bold(false);
+  }
+
+  setCharacterSize(printer, { width: 1, height: 1 });
+  printer.newLine();
+  printer.cut();
+}
+
+async function appendItem(printer, item) {
+  const charWidth = printer.config.width;
+
+  if (item.change) {
+    setCharacterSize(printer, DETAIL_SIZE);
+    printer.bold(true);
+    printer.invert(true);
+    printer.println(` ${item.change.toUpperCase()} `);
+    printer.invert(false);
+  }
+
+  setCharacterSize(printer, ITEM_SIZE);
+  printer.bold(true);
+  const itemLine = `${Number(item.quantity) || 1} x ${item.name}`;
+  for (const line of wrapText(itemLine, Math.floor(charWidth / ITEM_SIZE.width))) {
+    await printTextLine(printer, line, { bold: true, size: ITEM_SIZE });
+  }
+  printer.bold(false);
+
+  setCharacterSize(printer, DETAIL_SIZE);
+  const details = [
+    ...(item.modifiers || []).map(modifier => `+ ${modifier}`),
+    ...(item.notes ? [`! ${item.notes}`] : [])
+  ];
+  for (const detail of details) {
+    for (const line of wrapText(detail, charWidth - 3)) {
+      await printTextLine(printer, `   ${line}`, { size: DETAIL_SIZE });
+    }
+  }
+  setCharacterSize(printer, { width: 1, height: 1 });
+}
+
+module.exports = { buildKitchenTicket, splitOrderByStation, validateKitchenOrder, validateKitchenRouting };
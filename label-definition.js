@@ -0,0 +1,187 @@
+const { rasterizeImage } = require('./thermal-image');
+
+/**
+ * Printer-independent barcode label definitions, rendered to ZPL or TSPL.
+ *
+ *   {
+ *     widthMM?, heightMM?, dpi?   Default to the printer's media from formatPrinterList
+ *     gapMM?                      Gap between labels (TSPL), default 2
+ *     quantity?                   Number of distinct labels, default 1
+ *     copies?                     Identical copies of each label, default 1
+ *     serial?: { start, step?, pad? }
+ *                                 `{{serial}}` in text/data becomes start, start+step, ...
+ *                                 across the quantity, left-padded with zeros to `pad`
+ *     fields: [
+ *       { type: 'text', text, x, y, size?, width?, align?, rotate? }
+ *       { type: 'barcode', format: 'code128' | 'ean13', data, x, y, height?, module?, hri?, rotate? }
+ *       { type: 'qr', data, x, y, magnification? }
+ *       { type: 'box', x, y, width, height, thickness? }
+ *       { type: 'image', source, x, y, width, threshold? }  source: data URI, base64 or URL
+ *     ]
+ *   }
+ *
+ * Positions and sizes are in millimetres from the top-left corner; `size` is
+ * the character height. `module` is the narrow bar width in dots.
+ */
+
+const DEFAULT_DPI = 203;
+const DEFAULT_GAP_MM = 2;
+
+const MAX_LABELS = 1000;
+const MAX_FIELDS = 100;
+
+const FIELD_TYPES = ['text', 'barcode', 'qr', 'box', 'image'];
+const BARCODE_FORMATS = ['code128', 'ean13'];
+const ROTATIONS = [0, 90, 180, 270];
+
+const SERIAL_PLACEHOLDER = /\{\{\s*serial\s*\}\}/g;
+
+function mmToDots(mm, dpi) {
+  return Math.round((Number(mm) || 0) * dpi / 25.4);
+}
+
+/**
+ * Label media for a definition: explicit values win, then the printer's
+ * widthMM/heightMM/dpi as reported by formatPrinterList.
+ *
+ * @param {object} definition Label definition.
+ * @param {object} [printerInfo] Entry from formatPrinterList.
+ * @returns {{widthMM?: number, heightMM?: number, dpi: number, gapMM: number}}
+ */
+function resolveLabelMedia(definition, printerInfo = {}) {
+  return {
+    widthMM: Number(definition.widthMM) || printerInfo.widthMM,
+    heightMM: Number(definition.heightMM) || printerInfo.heightMM,
+    dpi: Number(definition.dpi) || printerInfo.dpi || DEFAULT_DPI,
+    gapMM: definition.gapMM !== undefined ? Number(definition.gapMM) : DEFAULT_GAP_MM
+  };
+}
+
+function serialValue(serial, index) {
+  if (!serial) return '';
+  const value = Number(serial.start || 0) + index * Number(serial.step || 1);
+  return String(value).padStart(Number(serial.pad) || 0, '0');
+}
+
+/**
+ * One field list per distinct label, with `{{serial}}` filled in.
+ *
+ * @returns {object[][]}
+ */
+function expandLabels(definition) {
+  const quantity = Number(definition.quantity) || 1;
+
+  return Array.from({ length: quantity }, (_, index) => {
+    const serial = serialValue(definition.serial, index);
+    return definition.fields.map(field => ({
+      ...field,
+      text: field.text === undefined ? undefined : String(field.text).replace(SERIAL_PLACEHOLDER, serial),
+      data: field.data === undefined ? undefined : String(field.data).replace(SERIAL_PLACEHOLDER, serial)
+    }));
+  });
+}
+
+/**
+ * Checks a label definition before it is queued. Media is checked separately
+ * because it may come from the printer.
+ *
+ * @returns {string|null} A description of the first problem, or null when valid.
+ */
+function validateLabelDefinition(definition) {
+  if (!definition || typeof definition !== 'object') return 'label must be an object';
+  if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+    return 'label.fields must be a non-empty array';
+  }
+  if (definition.fields.length > MAX_FIELDS) return `A label can have at most ${MAX_FIELDS} fields`;
+
+  for (const key of ['quantity', 'copies']) {
+    const value = definition[key];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 1 && value <= MAX_LABELS)) {
+      return `label.${key} must be a whole number from 1 to ${MAX_LABELS}`;
+    }
+  }
+  const { serial } = definition;
+  if (serial !== undefined) {
+    if (!serial || typeof serial !== 'object' || Array.isArray(serial)) return 'label.serial must be an object { start, step?, pad? }';
+    if (!Number.isInteger(Number(serial.start))) return 'label.serial.start must be a whole number';
+    if (serial.step !== undefined && !Number.isInteger(Number(serial.step))) return 'label.serial.step must be a whole number';
+  }
+
+  // Validate what will actually print, so a serial cannot produce a bad EAN-13
+  const labels = expandLabels(definition);
+  for (let i = 0; i < definition.fields.length; i++) {
+    const field = definition.fields[i];
+    const at = `label.fields[${i}]`;
+
+    if (!field || !FIELD_TYPES.includes(field.type)) return `${at} has unknown type "${field && field.type}"`;
+    if (!(Number(field.x) >= 0 && Number(field.y) >= 0)) return `${at} needs x and y in mm`;
+    if (field.rotate !== undefined && !ROTATIONS.includes(field.rotate)) {
+      return `${at} rotate must be one of ${ROTATIONS.join(', ')}`;
+    }
+
+    if (field.type === 'text' && (field.text === undefined || field.text === '')) return `${at} (text) needs "text"`;
+    if ((field.type === 'barcode' || field.type === 'qr') && (field.data === undefined || field.data === '')) {
+      return `${at} (${field.type}) needs "data"`;
+    }
+    if (field.type === 'box' && !(Number(field.width) > 0 && Number(field.height) > 0)) {
+      return `${at} (box) needs width and height in mm`;
+    }
+    if (field.type === 'image' && !(field.source && Number(field.width) > 0)) {
+      return `${at} (image) needs source and width in mm`;
+    }
+
+    if (field.type === 'barcode') {
+      const format = field.format || 'code128';
+      if (!BARCODE_FORMATS.includes(format)) {
+        return `${at} format must be one of ${BARCODE_FORMATS.join(', ')}`;
+      }
+      if (format === 'ean13') {
+        const bad = labels.find(fields => !/^\d{12,13}$/.test(fields[i].data));
+        if (bad) return `${at} EAN-13 data must be 12 or 13 digits (got "${bad[i].data}")`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Rasterises every image field once (images do not change with the serial).
+ *
+ * @returns {Promise<Map<number, {widthBytes: number, height: number, bits: Buffer}>>}
+ *   Bitmaps keyed by field index.
+ */
+async function rasterizeLabelImages(definition, dpi) {
+  const images = new Map();
+
+  for (let i = 0; i < definition.fields.length; i++) {
+    const field = definition.fields[i];
+    if (field.type !== 'image') continue;
+
+    try {
+      images.set(i, await rasterizeImage(field.source, mmToDots(field.width, dpi), field.threshold));
+    } catch (error) {
+      throw new Error(`Label image ${i} could not be loaded: ${error.message}`);
+    }
+  }
+  return images;
+}
+
+/** @returns {string|null} Problem with resolved media, or null. */
+function validateLabelMedia(media) {
+  if (!(media.widthMM > 0 && media.heightMM > 0)) {
+    return 'Label size is unknown: set label.widthMM and label.heightMM, or configure the printer media size';
+  }
+  if (!(media.dpi > 0)) return 'label.dpi must be a positive number';
+  return null;
+}
+
+module.exports = {
+  DEFAULT_DPI,
+  mmToDots,
+  resolveLabelMedia,
+  expandLabels,
+  rasterizeLabelImages,
+  validateLabelDefinition,
+  validateLabelMedia
+};
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const forge = require('node-forge');
+
+/**
+ * Certificates for the HTTPS and WSS listeners. Pages served over HTTPS are
+ * increasingly kept from calling http://127.0.0.1, so the agent can also
+ * listen with TLS (see agent-ports.js to turn it on).
+ *
+ * On first use the agent creates its own certificate authority and signs a
+ * certificate for localhost, 127.0.0.1 and ::1 with it. The CA is name
+ * constrained to those names, so its key cannot vouch for any other site
+ * even though it stays on disk for renewals. Browsers accept the
+ * certificate once the CA is trusted on the machine: from the status window,
+ * or by importing the file from GET /ca.crt. Everything is kept in
+ * <userData>/tls; the keys are readable only by the user and never leave it.
+ */
+
+const TLS_DIR = 'tls';
+const FILES = {
+  caKey: 'ca.key',
+  caCert: 'ca.crt',
+  key: 'localhost.key',
+  cert: 'localhost.crt'
+};
+
+const CA_NAME = 'ProSystem Print Agent Local CA';
+const CA_VALIDITY_YEARS = 10;
+// Browsers refuse server certificates valid for more than 825 days
+const SERVER_VALIDITY_DAYS = 825;
+// The server certificate is replaced this close to expiry, at startup
+const RENEW_BEFORE_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Critical nameConstraints (RFC 5280 4.2.1.10) permitting only localhost,
+ * 127.0.0.1 and ::1. node-forge has no encoder for it, so the DER is built here.
+ */
+function localhostNameConstraints() {
+  const { asn1, util } = forge;
+  const subtree = (tag, value) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, false, value)
+  ]);
+  // iPAddress subtrees are the address followed by its mask
+  const singleAddress = (ip) => {
+    const bytes = util.bytesFromIP(ip);
+    return bytes + '\xff'.repeat(bytes.length);
+  };
+
+  return {
+    id: '2.5.29.30',
+    name: 'nameConstraints',
+    critical: true,
+    value: asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      // [0] permittedSubtrees: dNSName [2], iPAddress [7]
+      asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+        subtree(2, 'localhost'),
+        subtree(7, singleAddress('127.0.0.1')),
+        subtree(7, singleAddress('::1'))
+      ])
+    ])
+  };
+}
+
+const generateKeyPair = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+});
+
+/**
+ * @returns {string} PEM certificate.
+ */
+function createCertificate({ commonName, publicKey, issuer, signingKey, validDays, extensions }) {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey);
+  // Positive, random serial numbers; browsers reject repeats from one CA
+  cert.serialNumber = `01${crypto.randomBytes(15).toString('hex')}`;
+  // A little in the past, for clocks that are slightly behind
+  cert.validity.notBefore = new Date(Date.now() - DAY);
+  cert.validity.notAfter = new Date(Date.now() + validDays * DAY);
+
+  const subject = [{ name: 'commonName', value: commonName }, { name: 'organizationName', value: 'ProSystem' }];
+  cert.setSubject(subject);
+  cert.setIssuer(issuer ? issuer.subject.attributes : subject);
+  cert.setExtensions(extensions);
+  cert.sign(forge.pki.privateKeyFromPem(signingKey), forge.md.sha256.create());
+  return forge.pki.certificateToPem(cert);
+}
+
+function createCertificateAuthority() {
+  const { publicKey, privateKey } = generateKeyPair();
+  const cert = createCertificate({
+    commonName: CA_NAME,
+    publicKey,
+    signingKey: privateKey,
+    validDays: CA_VALIDITY_YEARS * 365,
+    extensions: [
+      { name: 'basicConstraints', cA: true, pathLenConstraint: 0, critical: true },
+      { name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true },
+      localhostNameConstraints(),
+      { name: 'subjectKeyIdentifier' }
+    ]
+  });
+  return { key: privateKey, cert };
+}
+
+function createServerCertificate(ca) {
+  const { publicKey, privateKey } = generateKeyPair();
+  const caCert = forge.pki.certificateFromPem(ca.cert);
+  const cert = createCertificate({
+    commonName: 'localhost',
+    publicKey,
+    issuer: caCert,
+    signingKey: ca.key,
+    validDays: SERVER_VALIDITY_DAYS,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 7, ip: '127.0.0.1' },
+          { type: 7, ip: '::1' }
+        ]
+      },
+      { name: 'subjectKeyIdentifier' },
+      { name: 'authorityKeyIdentifier', keyIdentifier: caCert.generateSubjectKeyIdentifier().getBytes() }
+    ]
+  });
+  return { key: privateKey, cert };
+}
+
+// Whether a stored server certificate can be used for a while yet
+function isServerCertificateCurrent(cert, caCert) {
+  try {
+    const x509 = new crypto.X509Certificate(cert);
+    return x509.checkIssued(new crypto.X509Certificate(caCert)) &&
+      new Date(x509.validTo).getTime() - Date.now() > RENEW_BEFORE_DAYS * DAY;
+  } catch (error) {
+    return false;
+  }
+}
+
+function readFiles(dir, names) {
+  try {
+    return Object.fromEntries(names.map(name => [name, fs.readFileSync(path.join(dir, FILES[name]), 'utf8')]));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return null;
+  }
+}
+
+function writeKeyPair(dir, { key, cert }, keyName, certName) {
+  fs.writeFileSync(path.join(dir, FILES[keyName]), key, { mode: 0o600 });
+  fs.writeFileSync(path.join(dir, FILES[certName]), cert);
+}
+
+/**
+ * Key and certificate for the TLS listeners, creating the CA and the server
+ * certificate when they are missing, and renewing the server certificate
+ * when it is about to expire.
+ *
+ * @param {string} userDataPath app.getPath('userData').
+ * @returns {{key: string, cert: string, ca: string}} PEM strings.
+ */
+function getTlsCredentials(userDataPath) {
+  const dir = path.join(userDataPath, TLS_DIR);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+  let ca = readFiles(dir, ['caKey', 'caCert']);
+  // A CA from before the name constraints could sign for any site; replace it
+  if (ca && forge.pki.certificateFromPem(ca.caCert).getExtension('nameConstraints')) {
+    ca = { key: ca.caKey, cert: ca.caCert };
+  } else {
+    console.log('Creating the local certificate authority...');
+    ca = createCertificateAuthority();
+    writeKeyPair(dir, ca, 'caKey', 'caCert');
+  }
+
+  let server = readFiles(dir, ['key', 'cert']);
+  if (!server || !isServerCertificateCurrent(server.cert, ca.cert)) {
+    console.log('Creating the certificate for localhost...');
+    server = createServerCertificate(ca);
+    writeKeyPair(dir, server, 'key', 'cert');
+  }
+
+  return { key: server.key, cert: server.cert, ca: ca.cert };
+}
+
+/**
+ * The CA certificate (PEM) browsers need to trust; created if needed.
+ *
+ * @param {string} userDataPath app.getPath('userData').
+ */
+function getCaCertificate(userDataPath) {
+  return getTlsCredentials(userDataPath).ca;
+}
+
+/**
+ * Adds the CA to the current user's trusted roots. Windows and macOS ask the
+ * user to confirm; Firefox keeps its own list unless it is set to use the
+ * system's.
+ *
+ * @param {string} userDataPath app.getPath('userData').
+ * @returns {Promise<{trusted: true}|{error: string}>}
+ */
+function trustCaCertificate(userDataPath) {
+  getCaCertificate(userDataPath);
+  const caPath = path.join(userDataPath, TLS_DIR, FILES.caCert);
+
+  const commands = {
+    win32: ['certutil', ['-user', '-addstore', 'Root', caPath]],
+    darwin: ['security', ['add-trusted-cert', '-r', 'trustRoot', '-k', path.join(os.homedir(), 'Library', 'Keychains', 'login.keychain-db'), caPath]]
+  };
+  const command = commands[process.platform];
+  if (!command) {
+    return Promise.resolve({ error: `Import ${caPath} into your browser's certificate authorities` });
+  }
+
+  return new Promise(resolve => {
+    execFile(command[0], command[1], { windowsHide: true }, (error, _stdout, stderr) => {
+      if (error) {
+        console.error('Could not trust the local CA:', stderr || error.message);
+        resolve({ error: 'The certificate was not trusted. Export it and import it by hand instead.' });
+        return;
+      }
+      console.log('Local CA added to the trusted roots');
+      resolve({ trusted: true });
+    });
+  });
+}
+
+module.exports = { getTlsCredentials, getCaCertificate, trustCaCertificate };
@@ -1,128 +1,53 @@
-const { app, BrowserWindow, Tray, Menu, nativeImage, ipcMain } = require('electron');
+const { app, BrowserWindow, Tray, Menu, nativeImage, ipcMain, dialog } = require('electron');
 const AutoLaunch = require('auto-launch');
+const fs = require('fs');
 const path = require('path');
-const { startApi, broadcastPrinterStatus, formatPrinterList } = require('./printer-api');
-const { exec } = require('child_process');
+const {
+  startApi,
+  broadcastPrinterStatus,
+  listAllPrinters,
+  saveNetworkPrinter,
+  discoverNetworkPrinters,
+  getPrinterProfile,
+  savePrinterProfile,
+  getClientPairing,
+  getActivePorts,
+  getPortConflicts,
+  getPrinterStatusMonitor,
+  getEscPosEmulator
+} = require('./printer-api');
+const { describePrinterProblem } = require('./printer-status');
+const { CODE_PAGES } = require('./printer-profile');
+const { AGENT_SECRET_HEADER, getAgentSecret } = require('./agent-secret');
+const { loadPortConfig, setTlsEnabled, findRunningAgent } = require('./agent-ports');
+const { getCaCertificate, trustCaCertificate } = require('./local-tls');
+const { describePortOwners, killAgentOnPort } = require('./port-owner');
 
 let autoUpdater;
 
-// Force kill old instance if graceful shutdown fails (for old versions without /shutdown endpoint)
-function forceKillOldInstance() {
-  console.log('Finding and terminating processes on ports 21321 and 21322...');
-
-  if (process.platform === 'win32') {
-    // Windows: Use netstat and taskkill
-    exec('netstat -ano | findstr ":21321 "', (_error, stdout) => {
-      if (stdout) {
-        const lines = stdout.trim().split('\n');
-        const pids = new Set();
-
-        lines.forEach(line => {
-          const portPattern = /:21321\s/;
-          if (portPattern.test(line)) {
-            const parts = line.trim().split(/\s+/);
-            const pid = parts[parts.length - 1];
-            if (pid && !isNaN(pid) && pid !== '0') {
-              pids.add(pid);
-            }
-          }
-        });
-
-        if (pids.size > 0) {
-          console.log(`Killing processes: ${Array.from(pids).join(', ')}`);
-          pids.forEach(pid => {
-            exec(`taskkill /F /PID ${pid}`, (err) => {
-              if (err) {
-                console.error(`Failed to kill PID ${pid}:`, err.message);
-              } else {
-                console.log(`Successfully killed PID ${pid}`);
-              }
-            });
-          });
-
-          // Wait for processes to be killed, then relaunch
-          setTimeout(() => {
-            console.log('Old instance terminated. Relaunching new instance...');
-            app.relaunch();
-            app.quit();
-          }, 2000);
-        } else {
-          console.log('No processes found on port 21321. Quitting.');
-          app.quit();
-        }
-      } else {
-        console.log('Could not find processes. Quitting.');
-        app.quit();
-      }
-    });
-  } else if (process.platform === 'darwin') {
-    // macOS: Use lsof and kill
-    exec('lsof -ti:21321', (error, stdout) => {
-      if (error || !stdout) {
-        console.log('No processes found on port 21321. Quitting.');
-        app.quit();
-        return;
-      }
-
-      const pids = stdout.trim().split('\n').filter(pid => pid && !isNaN(pid));
-      
-      if (pids.length > 0) {
-        console.log(`Killing processes: ${pids.join(', ')}`);
-        pids.forEach(pid => {
-          exec(`kill -9 ${pid}`, (err) => {
-            if (err) {
-              console.error(`Failed to kill PID ${pid}:`, err.message);
-            } else {
-              console.log(`Successfully killed PID ${pid}`);
-            }
-          });
-        });
-
-        // Wait for processes to be killed, then relaunch
-        setTimeout(() => {
-          console.log('Old instance terminated. Relaunching new instance...');
-          app.relaunch();
-          app.quit();
-        }, 2000);
-      } else {
-        console.log('No processes found on port 21321. Quitting.');
-        app.quit();
-      }
-    });
-  } else {
-    // Linux/Other: Use lsof and kill
-    exec('lsof -ti:21321', (error, stdout) => {
-      if (error || !stdout) {
-        console.log('No processes found on port 21321. Quitting.');
-        app.quit();
-        return;
-      }
+// Force kill old instance if graceful shutdown fails (for old versions without /shutdown endpoint).
+// Only copies of the agent are killed; another application on the port is left running.
+function forceKillOldInstance(port) {
+  console.log(`Finding the old instance on port ${port}...`);
 
-      const pids = stdout.trim().split('\n').filter(pid => pid && !isNaN(pid));
-      
-      if (pids.length > 0) {
-        console.log(`Killing processes: ${pids.join(', ')}`);
-        pids.forEach(pid => {
-          exec(`kill -9 ${pid}`, (err) => {
-            if (err) {
-              console.error(`Failed to kill PID ${pid}:`, err.message);
-            } else {
-              console.log(`Successfully killed PID ${pid}`);
-            }
-          });
-        });
+  killAgentOnPort(port).then(({ killed, others }) => {
+    if (others.length > 0) {
+      console.log(`Port ${port} is owned by ${describePortOwners(others)}, which is not the print agent. Leaving it running.`);
+    }
+    if (killed.length === 0) {
+      console.log(`No old instance found on port ${port}. Quitting.`);
+      app.quit();
+      return;
+    }
 
-        setTimeout(() => {
-          console.log('Old instance terminated. Relaunching new instance...');
-          app.relaunch();
-          app.quit();
-        }, 2000);
-      } else {
-        console.log('No processes found on port 21321. Quitting.');
-        app.quit();
-      }
-    });
-  }
+    console.log(`Killed old instance: ${describePortOwners(killed)}`);
+    // Wait for the OS to release the ports, then relaunch
+    setTimeout(() => {
+      console.log('Old instance terminated. Relaunching new instance...');
+      app.relaunch();
+      app.quit();
+    }, 2000);
+  });
 }
 
 // **CRITICAL**: This prevents multiple instances of the agent from running.
@@ -133,44 +58,62 @@ const gotTheLock = app.requestSingleInstanceLock();
 if (!gotTheLock) {
   console.log('Another instance is already running. Attempting graceful handoff...');
 
-  // Try to signal the old instance to shut down
-  const http = require('http');
-  const options = {
-    hostname: '127.0.0.1',
-    port: 21321,
-    path: '/shutdown',
-    method: 'POST',
-    timeout: 3000
-  };
+  // The old instance may be on a fallback port (see agent-ports.js); versions
+  // without discovery answer on the configured one
+  const configuredPorts = loadPortConfig(app.getPath('userData'));
+  findRunningAgent(configuredPorts).then((agent) => {
+    const port = agent ? agent.httpPort : configuredPorts.http;
+
+    // Try to signal the old instance to shut down
+    const http = require('http');
+    const options = {
+      hostname: '127.0.0.1',
+      port,
+      path: '/shutdown',
+      method: 'POST',
+      // Only a copy of this install knows the secret (see agent-secret.js)
+      headers: { [AGENT_SECRET_HEADER]: getAgentSecret(app.getPath('userData')) },
+      timeout: 3000
+    };
+
+    const req = http.request(options, (res) => {
+      res.resume();
+      if (res.statusCode !== 200) {
+        // The old instance does not know this install's secret; free the ports the old way
+        console.log(`Old instance refused the shutdown request (${res.statusCode}).`);
+        console.log('Attempting to force kill old instance via port recovery...');
+        forceKillOldInstance(port);
+        return;
+      }
 
-  const req = http.request(options, () => {
-    console.log('Shutdown signal sent to old instance. This instance will now start.');
-    // Wait for old instance to shut down, then restart this one
-    setTimeout(() => {
-      app.relaunch();
-      app.quit();
-    }, 3000);
-  });
+      console.log('Shutdown signal sent to old instance. This instance will now start.');
+      // Wait for old instance to shut down, then restart this one
+      setTimeout(() => {
+        app.relaunch();
+        app.quit();
+      }, 3000);
+    });
 
-  req.on('error', (err) => {
-    console.log('Could not reach old instance:', err.message);
-    console.log('Old instance may not have /shutdown endpoint (older version).');
-    console.log('Attempting to force kill old instance via port recovery...');
+    req.on('error', (err) => {
+      console.log('Could not reach old instance:', err.message);
+      console.log('Old instance may not have /shutdown endpoint (older version).');
+      console.log('Attempting to force kill old instance via port recovery...');
 
-    // Force kill the old instance by terminating processes on our ports
-    forceKillOldInstance();
-  });
+      // Force kill the old instance by terminating processes on our ports
+      forceKillOldInstance(port);
+    });
 
-  req.on('timeout', () => {
-    console.log('Timeout reaching old instance.');
-    console.log('Attempting to force kill old instance via port recovery...');
-    req.destroy();
+    req.on('timeout', () => {
+      console.log('Timeout reaching old instance.');
+      console.log('Attempting to force kill old instance via port recovery...');
+      req.destroy();
 
-    // Force kill the old instance by terminating processes on our ports
-    forceKillOldInstance();
-  });
+      // Force kill the old instance by terminating processes on our ports
+      forceKillOldInstance(port);
+    });
 
-  req.end();
+    req.end();
+  });
 } else {
   // We got the lock - handle second-instance attempts
   app.on('second-instance', () => {
@@ -181,6 +124,7 @@ if (!gotTheLock) {
 let shellWindow;
 let tray = null;
 let statusWindow = null;
+let emulatorWindow = null;
 let appStartTime = Date.now(); // Track uptime
 
 // Keep global reference to prevent GC
@@ -300,24 +244,94 @@ const createStatusWindow = () => {
   });
 };
 
+// Pairing requests are answered in the status window (see client-pairing.js)
+const showPairingRequests = () => {
+  createStatusWindow();
+  statusWindow.setSize(400, 640);
+};
+
+const sendPairingUpdate = (target) => {
+  const pairing = getClientPairing();
+  target.send('pairing-update', { pending: pairing.listPending(), clients: pairing.listClients() });
+};
+
+// Viewer for the development ESC/POS emulator (see escpos-emulator.js)
+const createEmulatorWindow = () => {
+  if (emulatorWindow && !emulatorWindow.isDestroyed()) {
+    emulatorWindow.show();
+    emulatorWindow.focus();
+    return;
+  }
+
+  emulatorWindow = new BrowserWindow({
+    width: 640,
+    height: 720,
+    title: 'Virtual Printer',
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+
+  emulatorWindow.loadFile(path.join(__dirname, 'emulator-window.html'));
+  emulatorWindow.setMenuBarVisibility(false);
+
+  // Push new jobs to the viewer while it is open
+  const emulator = getEscPosEmulator();
+  const onJob = (job) => {
+    if (emulatorWindow && !emulatorWindow.isDestroyed()) {
+      emulatorWindow.webContents.send('emulator-job', job);
+    }
+  };
+  if (emulator) emulator.on('job', onJob);
+
+  emulatorWindow.on('closed', () => {
+    if (emulator) emulator.removeListener('job', onJob);
+    emulatorWindow = null;
+  });
+};
+
 const updateTrayMenu = async (trayInstance, webContents) => {
   try {
-    const rawPrinters = await webContents.getPrintersAsync();
-    const printers = formatPrinterList(rawPrinters);
+    const printers = await listAllPrinters(webContents);
     const defaultPrinter = printers.find(p => p.isDefault);
 
     const statusItem = printers.length > 0
       ? { label: `Default: ${defaultPrinter?.name || '(none)'}`, enabled: false }
       : { label: 'No Printers Found', enabled: false };
 
+    // Printers that need attention, e.g. "Kitchen: paper out"
+    const problemItems = printers
+      .filter(p => p.type !== 'pdf' && describePrinterProblem(p))
+      .map(p => ({ label: `${p.name}: ${describePrinterProblem(p)}`, enabled: false }));
+
+    // Ports another application kept from the agent, e.g. "Port 21321 owned by Skype.exe (PID 1234)"
+    const portItems = getPortConflicts()
+      .map(conflict => ({ label: `Port ${conflict.port} owned by ${conflict.owner}`, enabled: false }));
+
+    // Web apps waiting for the cashier to approve them
+    const pairingItems = getClientPairing().listPending()
+      .map(request => ({ label: `Pairing request: ${request.origin || 'local application'} (${request.code})`, click: showPairingRequests }));
+
     const contextMenu = Menu.buildFromTemplate([
       statusItem,
+      ...problemItems,
+      ...portItems,
+      ...pairingItems,
+      ...(getEscPosEmulator() ? [{ label: 'Virtual Printer...', click: createEmulatorWindow }] : []),
       { type: 'separator' },
       { label: 'Restart', click: () => { app.relaunch(); app.quit(); } },
       // { label: 'Quit', click: () => { app.isQuitting = true; app.quit(); } }
     ]);
 
-    trayInstance.setToolTip(printers.length > 0 ? 'Print Agent is running' : 'No printers detected');
+    const conflict = getPortConflicts()[0];
+    trayInstance.setToolTip(!getActivePorts() && conflict
+      ? `Print Agent is not running: port ${conflict.port} owned by ${conflict.owner}`
+      : printers.length === 0
+        ? 'No printers detected'
+        : problemItems.length > 0
+          ? `Print Agent is running (${problemItems.length} printer(s) need attention)`
+          : 'Print Agent is running');
     trayInstance.setContextMenu(contextMenu);
 
     broadcastPrinterStatus(printers);
@@ -498,6 +512,25 @@ app.whenReady().then(() => {
     }
   });
 
+  // Network printer status changes show up straight away
+  getPrinterStatusMonitor().on('change', () => {
+    if (tray && !tray.isDestroyed() && shellWindow && !shellWindow.isDestroyed()) {
+      updateTrayMenu(tray, shellWindow.webContents);
+    }
+  });
+
+  // A web app asking to pair brings up the status window with its code
+  getClientPairing().on('pairing-requested', showPairingRequests);
+
+  getClientPairing().on('change', () => {
+    if (statusWindow && !statusWindow.isDestroyed()) {
+      sendPairingUpdate(statusWindow.webContents);
+    }
+    if (tray && !tray.isDestroyed() && shellWindow && !shellWindow.isDestroyed()) {
+      updateTrayMenu(tray, shellWindow.webContents);
+    }
+  });
+
   // Update tray menu periodically
   setInterval(() => {
     if (tray && !tray.isDestroyed() && shellWindow && !shellWindow.isDestroyed()) {
@@ -526,14 +559,15 @@ app.whenReady().then(() => {
         return;
       }
 
-      const rawPrinters = await shellWindow.webContents.getPrintersAsync();
-      const printers = formatPrinterList(rawPrinters);
+      const printers = await listAllPrinters(shellWindow.webContents);
       const uptime = Date.now() - appStartTime;
 
       event.reply('status-update', {
-        apiStatus: 'online',
+        apiStatus: getActivePorts() ? 'online' : 'offline',
         printers: printers,
-        uptime: uptime
+        uptime: uptime,
+        ports: getActivePorts(),
+        portConflicts: getPortConflicts()
       });
     } catch (error) {
       event.reply('status-update', {
@@ -551,6 +585,132 @@ app.whenReady().then(() => {
     }
   });
 
+  // Network printer discovery; the window grows to fit the results
+  ipcMain.on('discover-printers', async (event) => {
+    if (statusWindow && !statusWindow.isDestroyed()) {
+      statusWindow.setSize(400, 640);
+    }
+
+    try {
+      event.reply('discovered-printers', await discoverNetworkPrinters());
+    } catch (error) {
+      event.reply('discovered-printers', { subnets: [], printers: [], error: error.message });
+    }
+  });
+
+  ipcMain.on('add-network-printer', async (event, { name, config, index }) => {
+    try {
+      event.reply('network-printer-added', { name, index, ...await saveNetworkPrinter(name, config) });
+    } catch (error) {
+      event.reply('network-printer-added', { name, index, error: 'Failed to save network printer', message: error.message });
+    }
+  });
+
+  // Printer profiles, edited from the status window
+  ipcMain.on('request-printer-profile', (event, id) => {
+    if (statusWindow && !statusWindow.isDestroyed()) {
+      statusWindow.setSize(400, 640);
+    }
+    event.reply('printer-profile', { id, profile: getPrinterProfile(id), codePages: CODE_PAGES });
+  });
+
+  ipcMain.on('save-printer-profile', (event, { id, profile }) => {
+    try {
+      event.reply('printer-profile-saved', { id, ...savePrinterProfile(id, profile) });
+    } catch (error) {
+      event.reply('printer-profile-saved', { id, error: 'Failed to save printer profile', message: error.message });
+    }
+  });
+
+  // Pairing, answered from the status window
+  ipcMain.on('request-pairing', (event, { show } = {}) => {
+    if (show && statusWindow && !statusWindow.isDestroyed()) {
+      statusWindow.setSize(400, 640);
+    }
+    sendPairingUpdate(event.sender);
+  });
+
+  ipcMain.on('approve-pairing', (_event, id) => {
+    getClientPairing().approve(id);
+  });
+
+  ipcMain.on('deny-pairing', (_event, id) => {
+    getClientPairing().deny(id);
+  });
+
+  ipcMain.on('revoke-client', (_event, id) => {
+    getClientPairing().revoke(id);
+  });
+
+  // HTTPS and WSS with the agent's own CA (see local-tls.js)
+  ipcMain.on('request-tls', (event) => {
+    if (statusWindow && !statusWindow.isDestroyed()) {
+      statusWindow.setSize(400, 640);
+    }
+    event.reply('tls-status', {
+      enabled: Boolean(loadPortConfig(app.getPath('userData')).https),
+      ports: getActivePorts()
+    });
+  });
+
+  // Takes effect on restart, like a change of ports
+  ipcMain.on('set-tls', (_event, enabled) => {
+    setTlsEnabled(app.getPath('userData'), enabled);
+    app.relaunch();
+    app.quit();
+  });
+
+  ipcMain.on('trust-ca', async (event) => {
+    try {
+      const result = await trustCaCertificate(app.getPath('userData'));
+      event.reply('tls-message', result.error
+        ? { text: result.error, isError: true }
+        : { text: 'Certificate trusted. Restart the browser to use it.' });
+    } catch (error) {
+      event.reply('tls-message', { text: error.message, isError: true });
+    }
+  });
+
+  ipcMain.on('export-ca', async (event) => {
+    try {
+      const { canceled, filePath } = await dialog.showSaveDialog(statusWindow, {
+        defaultPath: 'prosystem-print-agent-ca.crt',
+        filters: [{ name: 'Certificates', extensions: ['crt', 'pem'] }]
+      });
+      if (canceled || !filePath) return;
+
+      fs.writeFileSync(filePath, getCaCertificate(app.getPath('userData')));
+      event.reply('tls-message', { text: `Saved to ${filePath}` });
+    } catch (error) {
+      event.reply('tls-message', { text: error.message, isError: true });
+    }
+  });
+
+  // Virtual printer viewer
+  const sendEmulatorJobs = (target) => {
+    const emulator = getEscPosEmulator();
+    target.send('emulator-jobs', {
+      port: emulator ? emulator.port : null,
+      jobs: emulator ? emulator.listJobs() : []
+    });
+  };
+
+  ipcMain.on('request-emulator-jobs', (event) => {
+    sendEmulatorJobs(event.sender);
+  });
+
+  ipcMain.on('request-emulator-job', (event, id) => {
+    const job = getEscPosEmulator()?.getJob(id);
+    if (job) {
+      event.reply('emulator-job-detail', job);
+    }
+  });
+
+  ipcMain.on('clear-emulator-jobs', (event) => {
+    getEscPosEmulator()?.clear();
+    sendEmulatorJobs(event.sender);
+  });
+
   ipcMain.on('restart-app', () => {
     app.relaunch();
     app.quit();
@@ -0,0 +1,161 @@
+const net = require('net');
+const { PrintError, PRINT_ERROR_CODES } = require('./print-errors');
+
+/**
+ * Printers reached directly over the network (RAW on TCP 9100, "JetDirect"),
+ * with no OS driver. Configured through /network-printers and stored by name:
+ *
+ *   { host, port?, widthMM?, heightMM?, dpi?, language? }
+ *
+ * language is what the printer understands: 'escpos' (receipt and kitchen
+ * printers), 'zpl' or 'tspl' (label printers).
+ */
+
+const DEFAULT_RAW_PORT = 9100;
+const NETWORK_PRINTER_LANGUAGES = ['escpos', 'zpl', 'tspl'];
+
+const CONNECT_TIMEOUT = 5000;
+const WRITE_TIMEOUT = 15000;
+const CONNECT_RETRIES = 2;
+const RETRY_DELAY = 1000;
+
+// Hostname or IPv4/IPv6 address, no scheme or port
+const HOST_PATTERN = /^[a-z0-9.-]+$|^[0-9a-f:]+$/i;
+
+/**
+ * @returns {string|null} A description of the first problem, or null when valid.
+ */
+function validateNetworkPrinter(config) {
+  if (!config || typeof config !== 'object') return 'Printer settings must be an object';
+  if (typeof config.host !== 'string' || !HOST_PATTERN.test(config.host)) {
+    return 'host must be a hostname or IP address';
+  }
+  if (config.port !== undefined && !(Number.isInteger(config.port) && config.port >= 1 && config.port <= 65535)) {
+    return 'port must be a whole number from 1 to 65535';
+  }
+  for (const key of ['widthMM', 'heightMM', 'dpi']) {
+    if (config[key] !== undefined && !(Number(config[key]) > 0)) return `${key} must be a positive number`;
+  }
+  if (config.language !== undefined && !NETWORK_PRINTER_LANGUAGES.includes(config.language)) {
+    return `language must be one of: ${NETWORK_PRINTER_LANGUAGES.join(', ')}`;
+  }
+  return null;
+}
+
+/** Stored form of validated settings, with defaults filled in. */
+function normalizeNetworkPrinter(config) {
+  return {
+    host: config.host,
+    port: config.port || DEFAULT_RAW_PORT,
+    widthMM: config.widthMM !== undefined ? Number(config.widthMM) : undefined,
+    heightMM: config.heightMM !== undefined ? Number(config.heightMM) : undefined,
+    dpi: Number(config.dpi) || 203,
+    language: config.language || 'escpos'
+  };
+}
+
+/** A stored network printer in the shape of formatPrinterList entries. */
+function toPrinterListEntry(name, printer) {
+  return {
+    id: name,
+    name,
+    isDefault: false,
+    widthMM: printer.widthMM,
+    heightMM: printer.heightMM,
+    dpi: printer.dpi,
+    type: 'network',
+    supportsThermal: printer.language === 'escpos',
+    language: printer.language,
+    host: printer.host,
+    port: printer.port
+  };
+}
+
+/**
+ * One attempt: connect, write everything, wait for the printer to take it.
+ * Rejects with `written` set once any byte may have reached the printer.
+ */
+function writeOnce(host, port, buffer) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    let connected = false;
+    let flushed = false;
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(connectTimer);
+      socket.destroy();
+      error.written = connected;
+      reject(error);
+    };
+
+    const connectTimer = setTimeout(() => {
+      fail(new PrintError(PRINT_ERROR_CODES.PRINTER_OFFLINE, `No answer from ${host}:${port} within ${CONNECT_TIMEOUT / 1000} seconds`));
+    }, CONNECT_TIMEOUT);
+
+    const succeed = () => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve();
+    };
+
+    socket.on('connect', () => {
+      connected = true;
+      clearTimeout(connectTimer);
+
+      // Printers stop reading when out of paper; don't wait on them forever.
+      // Some never close their side, which is fine once everything was sent.
+      socket.setTimeout(WRITE_TIMEOUT, () => {
+        if (flushed) return succeed();
+        fail(new PrintError(PRINT_ERROR_CODES.PRINT_TIMEOUT, `${host}:${port} stopped accepting data (paper out or cover open?)`));
+      });
+      socket.end(buffer);
+    });
+
+    socket.on('finish', () => { flushed = true; });
+    socket.on('close', () => {
+      if (connected) succeed();
+    });
+
+    socket.on('error', (err) => {
+      fail(new PrintError(PRINT_ERROR_CODES.PRINTER_OFFLINE, `Could not reach ${host}:${port}: ${err.message}`));
+    });
+  });
+}
+
+/**
+ * Sends raw bytes to a TCP printer port.
+ *
+ * Failed connections are retried; a failure after data was sent is not,
+ * because the printer may already have printed part of the job.
+ *
+ * @param {string} host
+ * @param {number} port
+ * @param {Buffer} buffer
+ * @param {{retries?: number}} [options]
+ * @returns {Promise<void>} Rejects with a PrintError.
+ */
+async function sendRawOverTcp(host, port, buffer, { retries = CONNECT_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await writeOnce(host, port, buffer);
+      return;
+    } catch (error) {
+      if (error.written || attempt >= retries) throw error;
+      console.warn(`${error.message}; retrying (${attempt + 1}/${retries})`);
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY * (attempt + 1)));
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RAW_PORT,
+  NETWORK_PRINTER_LANGUAGES,
+  validateNetworkPrinter,
+  normalizeNetworkPrinter,
+  toPrinterListEntry,
+  sendRawOverTcp
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+
+/**
+ * Which process listens on a port, and whether it is a copy of the print
+ * agent. Freeing the agent's ports only ever terminates the agent itself;
+ * anything else that holds them is reported instead.
+ *
+ *   owner { pid, name, path }   name and path are null when the OS would not say
+ */
+
+// Running from source every Electron app is "electron"; only the full path tells them apart
+const GENERIC_EXECUTABLES = /^electron(\.exe)?$/i;
+const COMMAND_TIMEOUT = 5000;
+
+// stdout of a command, or '' when it fails (lsof finds nothing, tool missing, ...)
+const run = (command) => new Promise(resolve => {
+  exec(command, { timeout: COMMAND_TIMEOUT, windowsHide: true }, (error, stdout) => resolve(error ? '' : stdout));
+});
+
+const toPid = (value) => {
+  const pid = Number(value);
+  return Number.isInteger(pid) && pid > 0 ? pid : null;
+};
+
+async function findWindowsPortOwners(port) {
+  const stdout = await run('netstat -ano');
+  const pids = new Set();
+  stdout.split('\n').forEach(line => {
+    // "TCP  127.0.0.1:21321  0.0.0.0:0  LISTENING  1234"; the state is localized, so it is not checked
+    const parts = line.trim().split(/\s+/);
+    if (parts[0] !== 'TCP' || !parts[1]?.endsWith(`:${port}`)) return;
+    const pid = toPid(parts[parts.length - 1]);
+    if (pid) pids.add(pid);
+  });
+
+  const owners = [];
+  for (const pid of pids) {
+    const task = await run(`tasklist /FI "PID eq ${pid}" /FO CSV /NH`);
+    const name = task.match(/^"([^"]+)"/m)?.[1] || null;
+    const executable = (await run(`powershell -NoProfile -Command "(Get-Process -Id ${pid}).Path"`)).trim();
+    owners.push({ pid, name, path: executable || null });
+  }
+  return owners;
+}
+
+async function findUnixPortOwners(port) {
+  // -F: one field per line, "p<pid>" followed by "c<command>"
+  const stdout = await run(`lsof -nP -iTCP:${port} -sTCP:LISTEN -Fpc`);
+  const owners = [];
+  stdout.split('\n').forEach(line => {
+    if (line.startsWith('p')) {
+      const pid = toPid(line.slice(1));
+      if (pid) owners.push({ pid, name: null, path: null });
+    } else if (line.startsWith('c') && owners.length > 0) {
+      owners[owners.length - 1].name = line.slice(1);
+    }
+  });
+
+  for (const owner of owners) {
+    if (process.platform === 'linux') {
+      try {
+        owner.path = fs.readlinkSync(`/proc/${owner.pid}/exe`);
+      } catch (error) {
+        // Another user's process
+      }
+    } else {
+      // macOS lsof cuts names at 15 characters; ps gives the whole executable path
+      owner.path = (await run(`ps -o comm= -p ${owner.pid}`)).trim() || null;
+    }
+  }
+  return owners;
+}
+
+/**
+ * Processes listening on a port.
+ *
+ * @param {number} port
+ * @returns {Promise<{pid: number, name: string|null, path: string|null}[]>}
+ *   Empty when nothing listens, or the OS tools are unavailable.
+ */
+function findPortOwners(port) {
+  return process.platform === 'win32' ? findWindowsPortOwners(port) : findUnixPortOwners(port);
+}
+
+/**
+ * Whether a port owner is another copy of this agent: the same executable, or
+ * one with the same file name (an older version installed elsewhere).
+ *
+ * @param {{pid: number, name: string|null, path: string|null}} owner
+ * @param {string} [execPath] This agent's executable.
+ */
+function isAgentProcess(owner, execPath = process.execPath) {
+  if (owner.pid === process.pid) return false;
+
+  const samePath = (a, b) => process.platform === 'win32' ? a.toLowerCase() === b.toLowerCase() : a === b;
+  if (owner.path && samePath(owner.path, execPath)) return true;
+
+  const ownName = path.basename(execPath);
+  const ownerName = owner.path ? path.basename(owner.path) : owner.name;
+  return !GENERIC_EXECUTABLES.test(ownName) && Boolean(ownerName) && samePath(ownerName, ownName);
+}
+
+/** "Skype.exe (PID 1234)", for the tray and the status window. */
+function describePortOwners(owners) {
+  if (owners.length === 0) return 'an unknown application';
+  return owners
+    .map(owner => `${owner.name || (owner.path ? path.basename(owner.path) : 'unknown application')} (PID ${owner.pid})`)
+    .join(', ');
+}
+
+/**
+ * Terminates the copies of the agent listening on a port and leaves any other
+ * process alone.
+ *
+ * @param {number} port
+ * @returns {Promise<{killed: object[], others: object[]}>} Owners terminated,
+ *   and the owners that are not the agent.
+ */
+async function killAgentOnPort(port) {
+  const owners = await findPortOwners(port);
+  const agents = owners.filter(owner => isAgentProcess(owner));
+  const others = owners.filter(owner => !agents.includes(owner) && owner.pid !== process.pid);
+
+  const killed = [];
+  for (const agent of agents) {
+    try {
+      if (process.platform === 'win32') {
+        await new Promise((resolve, reject) => {
+          exec(`taskkill /F /PID ${agent.pid}`, { timeout: COMMAND_TIMEOUT, windowsHide: true }, error => error ? reject(error) : resolve());
+        });
+      } else {
+        process.kill(agent.pid, 'SIGKILL');
+      }
+      killed.push(agent);
+    } catch (error) {
+      console.error(`Failed to kill PID ${agent.pid}:`, error.message);
+    }
+  }
+  return { killed, others };
+}
+
+module.exports = { findPortOwners, isAgentProcess, describePortOwners, killAgentOnPort };
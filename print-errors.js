@@ -0,0 +1,22 @@
+/**
+ * Machine-readable reasons a print job can fail. Returned to callers as
+ * `code` so the POS can show the cashier something better than "failed".
+ */
+const PRINT_ERROR_CODES = {
+  PRINT_CANCELLED: 'PRINT_CANCELLED', // Cancelled by the user (e.g. PDF save dialog)
+  PRINTER_OFFLINE: 'PRINTER_OFFLINE', // Printer missing, offline or unreachable
+  DRIVER_ERROR: 'DRIVER_ERROR', // Spooler or driver rejected the job
+  PRINT_TIMEOUT: 'PRINT_TIMEOUT', // No answer from the driver in time
+  INTERRUPTED: 'INTERRUPTED' // Agent stopped while the job was printing
+};
+
+/** Error carrying one of PRINT_ERROR_CODES. */
+class PrintError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PrintError';
+    this.code = code;
+  }
+}
+
+module.exports = { PrintError, PRINT_ERROR_CODES };
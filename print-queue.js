@@ -0,0 +1,231 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const { PRINT_ERROR_CODES } = require('./print-errors');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  PRINTING: 'printing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Finished jobs are kept for status lookups, but only the most recent ones
+const MAX_FINISHED_JOBS = 200;
+
+/**
+ * In-agent print job queue.
+ *
+ * Every submission gets a job ID and is run by the handler registered for its
+ * kind ('html', 'thermal', ...). Jobs for the same printer run one at a time in
+ * submission order; different printers print in parallel. The queue is written
+ * to disk on every state change so queued jobs survive a crash or an
+ * auto-update restart.
+ *
+ * Emits 'job-queued', 'job-started', 'job-completed' and 'job-failed' with the
+ * public job record.
+ */
+class PrintQueue extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.storePath Absolute path of the JSON file backing the queue.
+   * @param {Object<string, function(object, object): Promise<*>>} options.handlers
+   *   Job runners keyed by job kind. Called with (payload, job); the resolved
+   *   value is stored as the job result.
+   */
+  constructor({ storePath, handlers }) {
+    super();
+    this.storePath = storePath;
+    this.handlers = handlers;
+    this.jobs = [];
+    this.activePrinters = new Set();
+    this.waiters = new Map();
+  }
+
+  /**
+   * Loads persisted jobs and resumes the queued ones.
+   *
+   * A job that was mid-print when the agent stopped is marked failed rather
+   * than re-run: the printer may already have produced it, and a duplicate
+   * receipt is worse than a visible failure the POS can retry.
+   */
+  restore() {
+    const stored = readJsonFile(this.storePath, []);
+    this.jobs = Array.isArray(stored) ? stored : [];
+
+    this.jobs.forEach(job => {
+      if (job.status === JOB_STATUS.PRINTING) {
+        job.status = JOB_STATUS.FAILED;
+        job.error = 'Interrupted by agent restart';
+        job.errorCode = PRINT_ERROR_CODES.INTERRUPTED;
+        job.finishedAt = new Date().toISOString();
+        delete job.payload;
+      }
+    });
+    this.save();
+
+    const pending = this.jobs.filter(job => job.status === JOB_STATUS.QUEUED);
+    if (pending.length > 0) {
+      console.log(`Resuming ${pending.length} queued print job(s)`);
+    }
+    new Set(pending.map(job => job.printer)).forEach(printerName => this.drain(printerName));
+  }
+
+  /**
+   * Adds a job to the queue for a printer.
+   *
+   * @param {string} kind Handler key.
+   * @param {string} printerName Printer the job is serialised against.
+   * @param {object} payload Everything the handler needs to run the job.
+   * @returns {object} Public job record.
+   */
+  enqueue(kind, printerName, payload) {
+    if (!this.handlers[kind]) {
+      throw new Error(`Unknown print job kind: ${kind}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      printer: printerName,
+      status: JOB_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      errorCode: null,
+      result: null,
+      payload
+    };
+
+    this.jobs.push(job);
+    this.save();
+    console.log(`Queued ${kind} job ${job.id} for printer "${printerName}"`);
+    this.emit('job-queued', toPublicJob(job));
+
+    this.drain(printerName);
+    return toPublicJob(job);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null} Public job record, or null when unknown.
+   */
+  getJob(id) {
+    const job = this.jobs.find(j => j.id === id);
+    return job ? toPublicJob(job) : null;
+  }
+
+  /**
+   * Lists jobs newest first.
+   *
+   * @param {{status?: string, printer?: string, limit?: number}} [filters]
+   * @returns {object[]}
+   */
+  listJobs({ status, printer, limit } = {}) {
+    let jobs = this.jobs.slice().reverse();
+    if (status) jobs = jobs.filter(j => j.status === status);
+    if (printer) jobs = jobs.filter(j => j.printer === printer);
+    if (limit > 0) jobs = jobs.slice(0, limit);
+    return jobs.map(toPublicJob);
+  }
+
+  /**
+   * Resolves with the public job record once the job is done or failed.
+   *
+   * @param {string} id
+   * @returns {Promise<object>}
+   */
+  waitFor(id) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) return Promise.reject(new Error(`Unknown print job: ${id}`));
+    if (isFinished(job)) return Promise.resolve(toPublicJob(job));
+
+    return new Promise(resolve => {
+      const waiting = this.waiters.get(id) || [];
+      waiting.push(resolve);
+      this.waiters.set(id, waiting);
+    });
+  }
+
+  /** Whether a job is printing on the printer right now. */
+  isPrinterBusy(printerName) {
+    return this.jobs.some(j => j.printer === printerName && j.status === JOB_STATUS.PRINTING);
+  }
+
+  /** Runs queued jobs for one printer until none are left. */
+  async drain(printerName) {
+    if (this.activePrinters.has(printerName)) return;
+    this.activePrinters.add(printerName);
+
+    try {
+      let job;
+      while ((job = this.jobs.find(j => j.printer === printerName && j.status === JOB_STATUS.QUEUED))) {
+        await this.run(job);
+      }
+    } finally {
+      this.activePrinters.delete(printerName);
+    }
+  }
+
+  async run(job) {
+    job.status = JOB_STATUS.PRINTING;
+    job.startedAt = new Date().toISOString();
+    this.save();
+    this.emit('job-started', toPublicJob(job));
+
+    try {
+      const result = await this.handlers[job.kind](job.payload, toPublicJob(job));
+      job.status = JOB_STATUS.DONE;
+      job.result = result === undefined ? null : result;
+      console.log(`✔️ Print job ${job.id} done`);
+    } catch (error) {
+      job.status = JOB_STATUS.FAILED;
+      job.error = error.message || 'Unknown print error occurred';
+      job.errorCode = error.code || null;
+      console.error(`Print job ${job.id} failed:`, job.error);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    delete job.payload; // Not needed once finished; keeps the store small
+    this.prune();
+    this.save();
+
+    const publicJob = toPublicJob(job);
+    this.emit(job.status === JOB_STATUS.DONE ? 'job-completed' : 'job-failed', publicJob);
+
+    (this.waiters.get(job.id) || []).forEach(resolve => resolve(publicJob));
+    this.waiters.delete(job.id);
+  }
+
+  /** Drops the oldest finished jobs beyond MAX_FINISHED_JOBS. */
+  prune() {
+    const finished = this.jobs.filter(isFinished);
+    const excess = finished.length - MAX_FINISHED_JOBS;
+    if (excess <= 0) return;
+
+    const dropped = new Set(finished.slice(0, excess));
+    this.jobs = this.jobs.filter(job => !dropped.has(job));
+  }
+
+  save() {
+    try {
+      writeJsonFile(this.storePath, this.jobs);
+    } catch (error) {
+      // Never fail a print because the queue file could not be written
+      console.error('Failed to persist print queue:', error.message);
+    }
+  }
+}
+
+function isFinished(job) {
+  return job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED;
+}
+
+/** Job record without its payload (HTML or sale data can be large). */
+function toPublicJob(job) {
+  const { payload, ...rest } = job;
+  return rest;
+}
+
+module.exports = { PrintQueue, JOB_STATUS };
@@ -1,784 +1,1282 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const { BrowserWindow } = require('electron');
+const { app, BrowserWindow } = require('electron');
 const WebSocket = require('ws');
 const cors = require('cors');
-const { ThermalPrinter, PrinterTypes } = require('node-thermal-printer');
+const { ThermalPrinter, PrinterTypes, CharacterSet } = require('node-thermal-printer');
 const printer = require('@thesusheer/electron-printer');
 const net = require('net');
-
-// Locks removed - allow concurrent print jobs
-// The printer driver and OS will handle queuing
+const https = require('https');
+const path = require('path');
+const { PrintQueue, JOB_STATUS } = require('./print-queue');
+const { PrintError, PRINT_ERROR_CODES } = require('./print-errors');
+const { readJsonFile, writeJsonFile } = require('./json-store');
+const {
+  DEFAULT_RECEIPT_TEMPLATE,
+  buildThermalReceipt,
+  validateReceiptTemplate
+} = require('./receipt-template');
+const { buildEscPosDocument, validateEscPosDocument, drawerKickCommand } = require('./escpos-document');
+const { buildKitchenTicket, splitOrderByStation, validateKitchenOrder, validateKitchenRouting } = require('./kitchen-ticket');
+const { getSaleCashTendering } = require('./receipt-format');
+const { buildReceiptHtml } = require('./receipt-html');
+const { renderEscPosText, renderEscPosHtml } = require('./escpos-preview');
+const { EscPosEmulator, getEmulatorPort } = require('./escpos-emulator');
+const {
+  validateNetworkPrinter,
+  normalizeNetworkPrinter,
+  toPrinterListEntry,
+  sendRawOverTcp
+} = require('./network-printer');
+const { discoverPrinters } = require('./printer-discovery');
+const { isPrinterOffline, osPrinterStatus, PrinterStatusMonitor } = require('./printer-status');
+const { MAX_COPIES, validatePrinterProfile, normalizePrinterProfile } = require('./printer-profile');
+const { validateRoleName, validatePrinterRole, normalizePrinterRole, choosePrinterForRole } = require('./printer-roles');
+const { ClientPairing } = require('./client-pairing');
+const { AGENT_SECRET_HEADER, getAgentSecret, isAgentSecret } = require('./agent-secret');
+const { WELL_KNOWN_PATH, AGENT_NAME, loadPortConfig, candidatePorts, probeAgent } = require('./agent-ports');
+const { findPortOwners, isAgentProcess, describePortOwners, killAgentOnPort } = require('./port-owner');
+const { getTlsCredentials, getCaCertificate } = require('./local-tls');
+const { rasterizeImage } = require('./thermal-image');
+const { appendRasterImage } = require('./escpos-codes');
+const { DEFAULT_DPI, resolveLabelMedia, validateLabelDefinition, validateLabelMedia } = require('./label-definition');
+const { buildZplLabels } = require('./zpl-label');
+const { buildTsplLabels } = require('./tspl-label');
+
+// Print jobs go through PrintQueue: serialized per printer, persisted to disk
 
 /**
- * Formats a date object or a valid date string into a DD/MM/YYYY string.
+ * Calculate optimal character width for thermal printer based on paper width
+ * Uses real-world thermal printer specifications
  *
- * @param {Date | string | null | undefined} date The date object or string to format.
- * @returns {string} A string representing the date in DD/MM/YYYY format, or an empty string if the input is falsy.
- * @example
- * // returns "21/08/2025"
- * formatDate('2025-08-21T05:57:15');
+ * @param {number} widthMM - Paper width in millimeters
+ * @returns {number} - Recommended character count per line
  */
-const formatDate = (date) => {
-  if (!date) return '';
-  const d = new Date(date);
-  const day = String(d.getDate()).padStart(2, '0');
-  const month = String(d.getMonth() + 1).padStart(2, '0');
-  const year = String(d.getFullYear()).slice(-2);
-  return `${day}/${month}/${year}`;
-};
+function getOptimalCharacterWidth(widthMM) {
+  if (widthMM >= 76 && widthMM <= 80) return 44; // Test value
+  // Standard thermal printer paper widths and their character counts
+  // Based on Font A (12x24) at 203 DPI with 3mm margins
+  const standardWidths = {
+    58: 32,   // 58mm paper - Common for mobile printers
+    76: 42,   // 76mm paper - Less common
+    80: 48,   // 80mm paper - Most common for receipts
+    82: 48,   // 82mm paper
+    110: 64,  // 110mm paper - Wider receipts
+  };
+
+  // Find closest standard width
+  const widths = Object.keys(standardWidths).map(Number);
+  const closest = widths.reduce((prev, curr) => {
+    return Math.abs(curr - widthMM) < Math.abs(prev - widthMM) ? curr : prev;
+  });
+
+  // If within 2mm of standard, use standard value
+  if (Math.abs(closest - widthMM) <= 2) {
+    return standardWidths[closest];
+  }
+
+  // Otherwise calculate dynamically
+  // Formula: (printableWidthMM / 10) * 5.9 chars/cm for 203 DPI Font A
+  const printableWidthMM = widthMM - 6; // 3mm margins on each side
+  const printableWidthCM = printableWidthMM / 10;
+  const charsPerCM = 5.9; // Standard for Font A at 203 DPI
+  const calculatedChars = Math.floor(printableWidthCM * charsPerCM);
+
+  // Return constrained value (thermal printers typically support 32-64 chars)
+  return Math.max(32, Math.min(64, calculatedChars));
+}
 
 /**
- * Formats a date object or a valid date string into a 12-hour time string with AM/PM.
+ * Turns the failure reason from webContents.print into a PrintError.
  *
- * @param {Date | string | null | undefined} time The date object or string to format for its time.
- * @returns {string} A string representing the time (e.g., "5:57 AM"), or an empty string if the input is falsy.
- * @example
- * // returns "5:57 AM"
- * formatTime('2025-08-21T05:57:15');
+ * Electron only reports "cancelled" or a generic "failed"-style string, so a
+ * generic failure is told apart by asking the OS whether the printer is
+ * currently missing/offline (PRINTER_OFFLINE) or not (DRIVER_ERROR).
  *
- * @example
- * // returns "1:30 PM"
- * formatTime('2025-08-21T13:30:00');
+ * @param {string} failureReason Second argument of the print callback.
+ * @param {string} printerName OS printer name the job was sent to.
+ * @returns {Promise<PrintError>}
  */
-const formatTime = (time) => {
-  if (!time) return '';
-  const d = new Date(time);
-  let hours = d.getHours();
-  const minutes = String(d.getMinutes()).padStart(2, '0');
-  const period = hours >= 12 ? 'PM' : 'AM';
-  hours = hours % 12 || 12; // Convert to 12-hour format, handling midnight
-  return `${hours}:${minutes} ${period}`;
-};
+async function classifyPrintFailure(failureReason, printerName) {
+  const reason = String(failureReason || 'failed');
 
-function CommaFormatted(amount) {
-  var delimiter = ","; // replace comma if desired
-  var a = amount.split('.', 2);
-  var d = a[1] || '';
-  var i = parseInt(a[0]);
-  if (isNaN(i)) { return ''; }
-  var minus = '';
-  if (i < 0) { minus = '-'; }
-  i = Math.abs(i);
-  var n = new String(i);
-  var a = [];
-  while (n.length > 3) {
-    var nn = n.substr(n.length - 3);
-    a.unshift(nn);
-    n = n.substr(0, n.length - 3);
+  if (/cancel/i.test(reason)) {
+    return new PrintError(PRINT_ERROR_CODES.PRINT_CANCELLED, 'Print was cancelled');
   }
-  if (n.length > 0) { a.unshift(n); }
-  n = a.join(delimiter);
-  if (d.length < 1) { amount = n; }
-  else { amount = n + '.' + d; }
-
-  // Remove .00 at the end of values
-  amount = amount.replace(/\.00$/, '');
-
-  amount = minus + amount;
-  return amount;
-}
 
-function CurrencyFormatted(amount, currency = 'BDT') {
-  var i = parseFloat(amount);
-  if (currency !== 'BDT') {
-    i = Math.round(i);
+  if (/invalid deviceName/i.test(reason)) {
+    return new PrintError(PRINT_ERROR_CODES.PRINTER_OFFLINE, `Printer "${printerName}" was not found`);
   }
-  if (isNaN(i)) { i = 0.00; }
-  var minus = '';
-  if (i < 0) { minus = '-'; }
-  i = Math.abs(i);
-  i = parseInt((i + .005) * 100);
-  i = i / 100;
-  var s = new String(i);
-
-  // Remove .00 at the end of values
-  if (s.indexOf('.') >= 0) {
-    s = s.replace(/\.00$/, '');
+
+  let offline = false;
+  try {
+    const rawPrinters = await globalWebContents.getPrintersAsync();
+    offline = isPrinterOffline(rawPrinters.find(p => p.name === printerName));
+  } catch (e) {
+    // Can't ask the OS; report what the driver said
   }
 
-  s = minus + s;
-  return s;
+  return offline
+    ? new PrintError(PRINT_ERROR_CODES.PRINTER_OFFLINE, `Printer "${printerName}" is offline or unavailable`)
+    : new PrintError(PRINT_ERROR_CODES.DRIVER_ERROR, `Printer driver reported: ${reason}`);
 }
 
 /**
- * Download or decode an image and convert it to a small, high-contrast PNG buffer
- * suitable for thermal printers (max width ~260px).
+ * Renders HTML in a hidden window and prints it silently through the OS driver.
+ * Runs 'html' jobs queued by /print.
  *
- * Accepts:
- * - Data URI (data:image/png;base64,...)
- * - Raw base64 string
- * - http/https URL
+ * Failures reject with a classified PrintError. Callers that set
+ * `ignoreFailures` get the pre-queue behaviour instead: the failure is only
+ * logged and the job completes, with the swallowed failure in its result.
  */
-async function validateAndConvertImage(imageSource) {
-  const sharp = require('sharp'); // npm install sharp
-  const http = require('http');
-  const https = require('https');
-
-  const fetchBufferFromUrl = (url, redirects = 0) => new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
-    const req = client.get(url, { timeout: 10000, headers: { 'User-Agent': 'prosystem-print-agent/1.0' } }, (res) => {
-      // Handle redirects (up to 3 hops)
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        if (redirects >= 3) return reject(new Error('Too many redirects while fetching logo'));
-        return resolve(fetchBufferFromUrl(res.headers.location, redirects + 1));
-      }
+async function printHtmlJob({ printer, html, widthMM, heightMM, ignoreFailures }) {
+  let win = null;
+  let callbackCalled = false;
 
-      if (res.statusCode !== 200) {
-        return reject(new Error(`HTTP ${res.statusCode}`));
-      }
+  try {
+    // Detect if this is a PDF/virtual printer (shows save dialog)
+    const pdfPrinterNames = [
+      'Microsoft Print to PDF',
+      'Microsoft XPS Document Writer',
+      'Adobe PDF',
+      'CutePDF Writer',
+      'PDFCreator',
+      'Foxit Reader PDF Printer',
+      'Bullzip PDF Printer',
+      'OneNote',
+      'Fax'
+    ];
+    const isPdfPrinter = pdfPrinterNames.some(name =>
+      printer.name.toLowerCase().includes(name.toLowerCase())
+    );
+
+    // PDF printers need longer timeout (user needs to choose save location)
+    // Physical printers get 30 seconds, PDF printers get 5 minutes
+    const timeoutDuration = isPdfPrinter ? 300000 : 30000;
+    const timeoutMessage = isPdfPrinter
+      ? 'Print operation timed out after 5 minutes (PDF printer dialog)'
+      : 'Print operation timed out after 30 seconds';
+
+    console.log(`Printer type: ${isPdfPrinter ? 'PDF/Virtual' : 'Physical'}, timeout: ${timeoutDuration/1000}s`);
 
-      const chunks = [];
-      let total = 0;
-      const maxBytes = 2 * 1024 * 1024; // 2 MB safety cap
+    win = new BrowserWindow({ show: false });
 
-      res.on('data', (chunk) => {
-        total += chunk.length;
-        if (total > maxBytes) {
-          req.destroy(new Error('Image too large'));
-          return reject(new Error('Image too large'));
+    await win.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html));
+
+    // Wrap the print callback in a Promise for better error handling
+    return await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        if (!callbackCalled) {
+          callbackCalled = true;
+          reject(new PrintError(PRINT_ERROR_CODES.PRINT_TIMEOUT, timeoutMessage));
         }
-        chunks.push(chunk);
-      });
+      }, timeoutDuration);
+
+      win.webContents.print(
+        {
+          silent: true,
+          deviceName: printer.name,
+          margins: { marginType: 'none' },
+          pageSize: {
+            width: Math.round(widthMM * 1000),
+            height: Math.round(heightMM * 1000)
+          }
+        },
+        async (success, failure) => {
+          // Prevent multiple callback invocations
+          if (callbackCalled) {
+            console.warn('Print callback called multiple times, ignoring');
+            return;
+          }
+          callbackCalled = true;
+          clearTimeout(timeout);
 
-      res.on('end', () => resolve(Buffer.concat(chunks)));
-    });
+          if (success) {
+            console.log('✔️ job queued');
+            resolve(null);
+            return;
+          }
 
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Image download timed out'));
+          // Log the actual failure message to understand what's happening
+          console.log('Print not successful. Success:', success, 'Failure:', failure);
+          const error = await classifyPrintFailure(failure, printer.name);
+
+          if (ignoreFailures) {
+            console.log(`Ignoring print failure (${error.code}) as requested by caller`);
+            resolve({ ignoredFailure: { code: error.code, message: error.message } });
+          } else {
+            reject(error);
+          }
+        }
+      );
     });
+  } finally {
+    // Always clean up resources
+    if (win && !win.isDestroyed()) {
+      try {
+        win.destroy();
+      } catch (destroyError) {
+        console.error('Error destroying window:', destroyError);
+      }
+    }
+  }
+}
+
+/**
+ * node-thermal-printer instance used only to build an ESC/POS buffer.
+ * We use a dummy TCP interface - the bytes are sent by sendRawToPrinter.
+ *
+ * @param {number} widthMM Paper width, used for the characters per line.
+ * @param {string} [codePage='PC437_USA'] node-thermal-printer CharacterSet the
+ *   printer is set to; text outside it is printed as raster images.
+ * @param {{charsPerLine?: {fontA?: number, fontB?: number}, cutter?: string}} [layout]
+ *   From the printer profile (see printer-profile.js).
+ */
+function createThermalPrinter(widthMM, codePage = DEFAULT_CODE_PAGE, { charsPerLine, cutter } = {}) {
+  const charWidth = charsPerLine?.fontA || getOptimalCharacterWidth(widthMM);
+  console.log(`Paper: ${widthMM}mm → ${charWidth} characters per line`);
+
+  const thermalPrinter = new ThermalPrinter({
+    type: PrinterTypes.EPSON, // Compatible with ESC/POS printers (Epson, Rongta, etc.)
+    interface: 'tcp://localhost',  // Dummy interface - won't be used
+    width: charWidth, // Optimal character count based on paper width
+    characterSet: codePage,
+    removeSpecialCharacters: false,
+    lineCharacter: '-',
   });
 
-  try {
-    let buffer;
+  // Read by templates and documents when wrapping Font B text
+  thermalPrinter.config.widthFontB = charsPerLine?.fontB;
 
-    const isUrl = /^https?:\/\//i.test(imageSource);
-    if (isUrl) {
-      buffer = await fetchBufferFromUrl(imageSource);
-    } else {
-      // Remove data URI prefix if present
-      const base64String = imageSource.includes(',')
-        ? imageSource.split(',')[1]
-        : imageSource;
-      buffer = Buffer.from(base64String, 'base64');
-    }
+  // Printers without a full cutter get what they can do instead
+  if (cutter === 'partial') {
+    thermalPrinter.cut = () => thermalPrinter.partialCut();
+  } else if (cutter === 'none') {
+    thermalPrinter.cut = thermalPrinter.partialCut = () => {
+      for (let i = 0; i < CUT_FEED_LINES; i++) thermalPrinter.newLine();
+    };
+  }
+  return thermalPrinter;
+}
 
-    // Convert to PNG, flatten transparency, and apply threshold for thermal clarity
-    const processedBuffer = await sharp(buffer)
-      .flatten({ background: '#FFFFFF' }) // remove transparency to avoid inverted artifacts
-      .resize({ width: 300, fit: 'inside' })
-      .threshold(180) // make it high-contrast for thermal printing
-      .png()
-      .toBuffer();
+// Blank lines fed instead of a cut on printers without a cutter, to clear the tear bar
+const CUT_FEED_LINES = 4;
 
-    console.log(`Logo prepared: ${processedBuffer.length} bytes (source ~${buffer.length} bytes)`);
-    return processedBuffer;
-  } catch (error) {
-    console.error('Image validation failed:', error);
-    return null;
+/** ESC/POS printer settings a job keeps from the profile it was queued with. */
+function getThermalLayout(profile) {
+  return profile ? { charsPerLine: profile.charsPerLine, cutter: profile.cutter } : undefined;
+}
+
+/**
+ * Builds the ESC/POS receipt and sends it RAW to the printer.
+ * Runs 'thermal' jobs queued by /print-thermal.
+ *
+ * Architecture:
+ * 1. Generate ESC/POS commands using node-thermal-printer
+ * 2. Get buffer without executing
+ * 3. Hand the buffer to sendRawToPrinter
+ */
+async function printThermalJob(payload, job) {
+  const { printer: printerInfo, data, options, mode, dpi } = payload;
+  console.log(`Thermal print request for printer: ${printerInfo.name}${mode === 'raster' ? ` (raster, ${dpi}dpi)` : ''}`);
+
+  // Step 1: Generate ESC/POS commands using node-thermal-printer
+  const drawer = resolveReceiptDrawerKick(printerInfo, data, options);
+  const thermalPrinter = await buildThermalReceiptPrinter(payload, drawer);
+
+  // Step 2: Get the buffer WITHOUT executing (don't send to network yet)
+  const buffer = await thermalPrinter.getBuffer();
+
+  // Step 3: Send buffer to printer based on environment
+  const result = await sendRawToPrinter(printerInfo.name, buffer);
+
+  if (drawer) {
+    logDrawerOpen({ printer: printerInfo.name, pin: drawer.pin, reason: drawer.reason, jobId: job.id });
   }
+  return result;
 }
 
-function shouldHideReceiptItemSku(data) {
-  const displayName = String(data?.displayName || '').trim().toLowerCase();
-  return displayName.includes('skinn');
+/**
+ * The receipt for a thermal job in a node-thermal-printer buffer, shared by
+ * printing and /preview-thermal.
+ *
+ * @param {object} payload Thermal job payload.
+ * @param {{pin: number}|null} drawer Drawer kick from resolveReceiptDrawerKick.
+ */
+async function buildThermalReceiptPrinter({ data, totals, widthMM, template, options, mode, html, dpi, copies, layout }, drawer) {
+  const thermalPrinter = createThermalPrinter(widthMM, options?.codePage, layout);
+
+  if (mode === 'raster') {
+    await appendRasterReceipt(thermalPrinter, { html, data, totals, template, options, widthMM, dpi });
+  } else {
+    // Build the receipt (generates ESC/POS commands in buffer)
+    await buildThermalReceipt(thermalPrinter, data, totals, template || DEFAULT_RECEIPT_TEMPLATE, options);
+  }
+  appendCopies(thermalPrinter, copies);
+
+  // Kick the cash drawer after the cut, so it opens as the receipt comes out
+  if (drawer) {
+    thermalPrinter.add(drawerKickCommand(drawer.pin));
+  }
+  return thermalPrinter;
+}
+
+/** Repeats everything in the buffer so far until there are `copies` of it. */
+function appendCopies(thermalPrinter, copies = 1) {
+  const single = thermalPrinter.getBuffer();
+  for (let i = 1; i < copies; i++) {
+    thermalPrinter.add(single);
+  }
 }
 
-/** Parses a value into a finite number, or returns null when it is not usable. */
-function toFiniteNumber(value) {
-  if (value === null || value === undefined || value === '') return null;
+// Printable width of the common receipt papers; others lose about 4mm a side
+const PRINTABLE_WIDTH_MM = { 58: 48, 80: 72 };
 
-  const raw = typeof value === 'object' && typeof value.toString === 'function'
-    ? value.toString()
-    : value;
+// Chromium cannot paint an offscreen frame much taller than this
+const MAX_RASTER_HEIGHT = 16000;
+const RASTER_RENDER_TIMEOUT = 15000;
 
-  const parsed = typeof raw === 'number' ? raw : Number(raw);
-  return Number.isFinite(parsed) ? parsed : null;
+/** Printable width in dots, rounded to whole bytes for GS v 0. */
+function getPrintableWidthDots(widthMM, dpi) {
+  const standard = Object.keys(PRINTABLE_WIDTH_MM).map(Number).find(width => Math.abs(width - widthMM) <= 2);
+  const printableMM = standard ? PRINTABLE_WIDTH_MM[standard] : widthMM - 8;
+  return Math.max(8, Math.round(printableMM * dpi / 25.4 / 8) * 8);
 }
 
-/** Rounds to 2 decimals without the classic 1.005 float drift. */
-function roundCurrency(value) {
-  const parsed = toFiniteNumber(value);
-  if (parsed === null) return 0;
-  return Math.round((parsed + Number.EPSILON) * 100) / 100;
+/**
+ * Raster receipt mode: the receipt (or the caller's own HTML) is laid out by
+ * Chromium, captured, dithered to 1-bit and printed as one tall image, so the
+ * printer's fonts and text layout never come into it. Ends with a full cut.
+ */
+async function appendRasterReceipt(thermalPrinter, { html, data, totals, template, options, widthMM, dpi }) {
+  const widthDots = getPrintableWidthDots(widthMM, dpi);
+  const page = html || await buildReceiptHtml(template || DEFAULT_RECEIPT_TEMPLATE, data, totals, options || {}, {
+    charWidth: thermalPrinter.config.width,
+    widthDots,
+    dpi
+  });
+
+  const png = await renderHtmlToPng(page, widthDots, dpi);
+  const raster = await rasterizeImage(png, widthDots, 128, { dither: true });
+  console.log(`Raster receipt: ${widthDots}x${raster.height} dots`);
+
+  appendRasterImage(thermalPrinter, raster);
+  thermalPrinter.cut();
 }
 
 /**
- * Reads the cash tender snapshot the BMS persists under
- * `sale.customFields.cashTendering` when a sale is finalized through the cash
- * tender / change-due step.
- *
- * Presence of the record is the render gate: only tenants with the cash tender
- * feature flag on ever write it, so this stays tenant-agnostic and the thermal
- * receipt matches the browser receipt line for line.
+ * Renders HTML in an offscreen window `widthDots` pixels wide, zoomed so one
+ * CSS inch is `dpi` pixels, and captures the whole page as a PNG.
  *
- * Mirrors getSaleCashTendering() in the BMS
- * (features/sales/tenants/tahar-by-optimize/utils/cashTendering.js).
+ * @returns {Promise<Buffer>}
+ */
+async function renderHtmlToPng(html, widthDots, dpi) {
+  const zoomFactor = dpi / 96;
+  let win = null;
+
+  try {
+    win = new BrowserWindow({
+      show: false,
+      width: widthDots,
+      height: 100,
+      useContentSize: true,
+      webPreferences: { offscreen: true, zoomFactor }
+    });
+
+    await win.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html));
+
+    // Measure once images (logo, barcodes) are decoded, or they count as 0px high
+    const cssHeight = await win.webContents.executeJavaScript(
+      'Promise.all(Array.from(document.images, img => img.decode().catch(() => {})))' +
+      '.then(() => document.documentElement.scrollHeight)'
+    );
+    const height = Math.ceil(cssHeight * zoomFactor);
+    if (height > MAX_RASTER_HEIGHT) {
+      throw new Error(`Receipt is too long to print as an image (${height} dots, limit ${MAX_RASTER_HEIGHT})`);
+    }
+
+    win.setContentSize(widthDots, Math.max(1, height));
+    const frame = await capturePaintedFrame(win, widthDots, Math.max(1, height));
+    return frame.toPNG();
+  } finally {
+    if (win && !win.isDestroyed()) {
+      try {
+        win.destroy();
+      } catch (destroyError) {
+        console.error('Error destroying window:', destroyError);
+      }
+    }
+  }
+}
+
+/** First offscreen frame covering the resized window (scaled on HiDPI screens). */
+function capturePaintedFrame(win, width, height) {
+  return new Promise((resolve, reject) => {
+    const onPaint = (event, dirty, image) => {
+      const size = image.getSize();
+      if (size.width === 0 || size.height * width < height * size.width) return;
+      done();
+      resolve(image);
+    };
+    const timeout = setTimeout(() => {
+      done();
+      reject(new PrintError(PRINT_ERROR_CODES.PRINT_TIMEOUT, `Receipt was not rendered within ${RASTER_RENDER_TIMEOUT / 1000} seconds`));
+    }, RASTER_RENDER_TIMEOUT);
+
+    function done() {
+      clearTimeout(timeout);
+      win.webContents.removeListener('paint', onPaint);
+    }
+
+    win.webContents.on('paint', onPaint);
+    win.webContents.invalidate();
+  });
+}
+
+/**
+ * Whether a receipt should open the cash drawer: always for a cash sale
+ * (a cash tender record on the sale) or when options.openDrawer is true,
+ * never when it is false.
  *
- * @returns {{method: string, methodDetail: string|null, amountDue: number, tendered: number, changeDue: number}|null}
+ * @returns {{pin: number, reason: string}|null}
  */
-function getSaleCashTendering(data) {
-  const record = data?.customFields?.cashTendering;
-  if (!record || typeof record !== 'object') return null;
+function resolveReceiptDrawerKick(printerInfo, data, options = {}) {
+  if (options.openDrawer === false) return null;
 
-  const tendered = toFiniteNumber(record.tendered);
-  if (tendered === null) return null;
+  const reason = options.openDrawer === true
+    ? 'requested'
+    : getSaleCashTendering(data) ? 'cash sale' : null;
+  if (!reason) return null;
 
-  const amountDue = toFiniteNumber(record.amountDue);
-  const storedChange = toFiniteNumber(record.changeDue);
-  const dueAmount = amountDue === null ? tendered : amountDue;
+  return { pin: resolveDrawerPin(options.drawerPin, printerInfo), reason };
+}
 
-  return {
-    method: record.method ? String(record.method) : 'Cash',
-    methodDetail: record.methodDetail ? String(record.methodDetail) : null,
-    amountDue: roundCurrency(dueAmount),
-    tendered: roundCurrency(tendered),
-    changeDue: storedChange === null
-      ? roundCurrency(Math.max(0, roundCurrency(tendered) - roundCurrency(dueAmount)))
-      : roundCurrency(Math.max(0, storedChange)),
-  };
+/** Drawer connector pin: the request's, then the printer's, then pin 2. */
+function resolveDrawerPin(pin, printerInfo) {
+  return Number(pin ?? printerInfo.drawerPin ?? 2) === 5 ? 5 : 2;
 }
 
-async function buildThermalReceipt(printer, data, totals) {
-  // Get character width from printer config
-  const charWidth = printer.config.width;
-  const hideItemSku = shouldHideReceiptItemSku(data);
+/** No-sale drawer open from /open-drawer. */
+async function openDrawerJob({ printer: printerInfo, pin, reason, user }, job) {
+  console.log(`Opening cash drawer (pin ${pin}) on printer: ${printerInfo.name} - ${reason}`);
 
-  // Make ALL text bold throughout the receipt
-  printer.bold(true);
+  const result = await sendRawToPrinter(printerInfo.name, drawerKickCommand(pin));
+  logDrawerOpen({ printer: printerInfo.name, pin, reason, user, jobId: job.id });
+  return result;
+}
 
-  // Header - Organization
-  printer.alignCenter();
-  printer.setTextQuadArea(); // Make it even bigger - 2x width and 2x height
-  printer.bold(true); // Ensure bold is enabled for organization name
+/** Generic ESC/POS document (kitchen tickets, shift reports, token slips). */
+async function printEscPosJob({ printer: printerInfo, widthMM, codePage, commands, copies, layout, imageThreshold }) {
+  console.log(`ESC/POS document (${commands.length} commands) for printer: ${printerInfo.name}`);
 
-  // Logo (base64, data URI, or URL). Fall back to text name only if logo is absent or fails.
-  let logoBuffer = null;
-  if (data.logo) {
-    try {
-      logoBuffer = await validateAndConvertImage(data.logo);
-    } catch (err) {
-      console.error('Logo render failed, falling back to text header:', err);
-    }
-  }
+  const thermalPrinter = createThermalPrinter(widthMM, codePage, layout);
+  await buildEscPosDocument(thermalPrinter, commands, { imageThreshold });
+  appendCopies(thermalPrinter, copies);
 
-  if (logoBuffer) {
-    await printer.printImageBuffer(logoBuffer);
-    printer.newLine();
-    printer.newLine(); // add a full blank line after logo
-  } else {
-    printer.println(data.displayName || 'Organization');
-  }
+  return sendRawToPrinter(printerInfo.name, await thermalPrinter.getBuffer());
+}
 
-  printer.invert(false); // Reset invert
-  printer.setTextNormal();
-  printer.bold(true); // Re-enable bold after setTextNormal resets it
-  printer.setTextSize(0, 0); // Set custom size (normal width, double height) for all receipt content
+/** One station's part of a kitchen order (see kitchen-ticket.js). */
+async function printKitchenTicketJob({ printer: printerInfo, widthMM, codePage, station, order, copies, layout }) {
+  console.log(`Kitchen ticket for station "${station}" (${order.items.length} item(s)) on printer: ${printerInfo.name}`);
 
-  // BIN & VAT
-  if (data.location?.binNumber || data.binNumber) {
-    printer.println(`BIN: ${data.location?.binNumber || data.binNumber}`);
-    if (data.location?.vatFormNumber || data.vatFormNumber) {
-      printer.println(`Mushak - ${data.location.vatFormNumber || data.vatFormNumber}`);
-    }
-  }
+  const thermalPrinter = createThermalPrinter(widthMM, codePage, layout);
+  await buildKitchenTicket(thermalPrinter, { station, order });
+  appendCopies(thermalPrinter, copies);
 
-  // Address - wrap to avoid breaking words mid-line
-  if (data.location?.address) {
-    const addressLines = wrapText(data.location.address, charWidth);
-    addressLines.forEach(line => printer.println(line));
-  }
+  return sendRawToPrinter(printerInfo.name, await thermalPrinter.getBuffer());
+}
 
-  // Contact
-  if (data.location?.phone || data.location?.email) {
-    if (data.location?.phone) {
-      printer.print(data.location.phone);
-      if (data.location?.email) {
-        printer.print(', ');
-      }
-    }
-    if (data.location?.email) {
-      printer.print(data.location.email);
-    }
-    printer.newLine();
-  }
+/**
+ * Pre-built printer language from back-office tools, sent byte for byte.
+ * The payload keeps the bytes base64 encoded so the queue file stays JSON.
+ */
+async function printRawJob({ printer: printerInfo, language, data }) {
+  const buffer = Buffer.from(data, 'base64');
+  console.log(`Raw ${language} payload (${buffer.length} bytes) for printer: ${printerInfo.name}`);
 
-  if (data.customDomain) {
-    printer.println(data.customDomain);
+  return sendRawToPrinter(printerInfo.name, buffer);
+}
+
+/** Barcode labels generated in the printer's own language. */
+async function printLabelJob({ printer: printerInfo, label, language, media }) {
+  const copies = (label.quantity || 1) * (label.copies || 1);
+  console.log(`${language.toUpperCase()} label print (${copies} label(s), ${media.widthMM}x${media.heightMM}mm @ ${media.dpi}dpi) for printer: ${printerInfo.name}`);
+
+  const buffer = await LABEL_BUILDERS[language](label, media);
+  return sendRawToPrinter(printerInfo.name, buffer);
+}
+
+/**
+ * Sends raw printer-language bytes to a printer.
+ *
+ * Network printers: straight to host:port over TCP, in every environment
+ * Development: TCP emulator on 127.0.0.1:8100 or ESCPOS_EMULATOR_PORT (see escpos-emulator.js)
+ * Production: printer.printDirect with RAW type to the OS printer name
+ *
+ * @param {string} printerName OS or network printer name.
+ * @param {Buffer} buffer Raw bytes to send.
+ * @returns {Promise<{spoolJobId: *}|null>} Spooler job ID for OS printers in production.
+ */
+async function sendRawToPrinter(printerName, buffer) {
+  const networkPrinter = getNetworkPrinter(printerName);
+  if (networkPrinter) {
+    console.log(`Network printer "${printerName}": sending ${buffer.length} bytes to ${networkPrinter.host}:${networkPrinter.port}`);
+    await sendRawOverTcp(networkPrinter.host, networkPrinter.port, buffer);
+    console.log(`✔️ Sent to network printer "${printerName}"`);
+    return null;
   }
 
-  // Switch to left-aligned for rest of receipt
-  printer.alignLeft();
-  printer.drawLine();
-
-  // Invoice Info - Manual spacing for full width
-  printer.println(createTwoColumnLine(
-    `${(data.status !== 'Draft' && data.status !== 'Request') ? 'INVOICE' : 'QUOTATION'} ${data.invoiceNumber}`,
-    formatDate(data.createdAt),
-    charWidth
-  ));
-  printer.println(createTwoColumnLine(
-    '',
-    formatTime(data.createdAt),
-    charWidth
-  ));
-
-  // Customer
-  if (data.customer) {
-    printer.drawLine();
-    printer.println('CUSTOMER');
-
-    if (data.customer.name) printer.println(data.customer.name);
-    if (data.customer.phone) printer.println(`Phone: ${data.customer.phone}`);
-    if (data.customer.email) printer.println(`Email: ${data.customer.email}`);
-
-    if (data.customer.addresses?.length > 0) {
-      const addr = data.customer.addresses[0];
-      const addrParts = [
-        addr?.addressLine,
-        addr?.area?.label,
-        addr?.city?.label,
-        addr?.zipcode,
-        addr?.country
-      ].filter(Boolean).join(', ');
-
-      if (addrParts) {
-        printer.println(`Address: ${addrParts}`);
-      }
-    }
+  if (process.env.NODE_ENV === 'development') {
+    // Development: Send to the built-in emulator (or whatever else listens on its port)
+    const emulatorPort = getEmulatorPort();
+    console.log(`Development mode: Sending to TCP emulator at 127.0.0.1:${emulatorPort}`);
+
+    await sendRawOverTcp('127.0.0.1', emulatorPort, buffer, { retries: 0 });
+    console.log('✔️ Thermal receipt sent to emulator successfully');
+    return null;
   }
 
-  // Items Header - Full width table
-  const tableCols = getItemTableColumns(charWidth);
-  printer.drawLine();
-  printer.tableCustom([
-    { text: "Sl", align: "LEFT", cols: tableCols.sl },
-    { text: "Item", align: "LEFT", cols: tableCols.item },
-    { text: "Qty", align: "RIGHT", cols: tableCols.qty },
-    { text: "Rate", align: "RIGHT", cols: tableCols.rate },
-    { text: "Amount", align: "RIGHT", cols: tableCols.amount }
-  ]);
-  printer.drawLine();
-
-  // Items - Full width for each item
-  data.items.forEach((item, index) => {
-    const itemName = [
-      hideItemSku ? null : item.itemSku,
-      item.variantName,
-      item.itemName
-    ].filter(Boolean).join(' - ');
-    const serialNum = `${index + 1}.`;
-
-    // Calculate max characters that fit in the item column
-    const itemColumnWidth = tableCols.item;
-
-    // Wrap the item name to fit within the item column
-    const wrappedLines = wrapText(itemName, itemColumnWidth);
-
-    // Determine rate display: show "(inc.)" for bundle items with rate 0
-    const rateDisplay = (item.isBundleExpanded && item.unitPrice === 0) 
-        ? '(inc.)' 
-        : CommaFormatted(CurrencyFormatted(item.unitPrice));
-
-    const itemQuantity = Number(item.quantity) || 0;
-    const itemRate = Number(item.unitPrice) || 0;
-    const quantityDisplay = (item.quantity ?? 0).toString();
-    const amountDisplay = CommaFormatted(CurrencyFormatted(itemRate * itemQuantity));
-
-    // Print first line with serial number, item name, qty, rate, and amount
-    printer.tableCustom([
-      { text: serialNum, align: "LEFT", cols: tableCols.sl },
-      { text: wrappedLines[0], align: "LEFT", cols: tableCols.item },
-      { text: quantityDisplay, align: "RIGHT", cols: tableCols.qty },
-      { text: rateDisplay, align: "RIGHT", cols: tableCols.rate },
-      { text: amountDisplay, align: "RIGHT", cols: tableCols.amount }
-    ]);
+  // Production: Use printer.printDirect with RAW type
+  console.log(`Production mode: Sending to printer "${printerName}" using RAW print`);
 
-    // Print remaining lines (if any) with empty serial/qty/rate/amount columns
-    for (let i = 1; i < wrappedLines.length; i++) {
-      printer.tableCustom([
-        { text: "", align: "LEFT", cols: tableCols.sl },
-        { text: wrappedLines[i], align: "LEFT", cols: tableCols.item },
-        { text: "", align: "RIGHT", cols: tableCols.qty },
-        { text: "", align: "RIGHT", cols: tableCols.rate },
-        { text: "", align: "RIGHT", cols: tableCols.amount }
-      ]);
+  const spoolJobId = await new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new PrintError(PRINT_ERROR_CODES.PRINT_TIMEOUT, 'Print operation timed out after 30 seconds'));
+    }, 30000);
+
+    try {
+      printer.printDirect({
+        data: buffer,
+        printer: printerName,  // Windows printer name!
+        type: 'RAW',  // This is the key - sends raw ESC/POS bytes
+        success: (jobID) => {
+          clearTimeout(timeout);
+          console.log(`✔️ Thermal receipt sent to printer successfully. Job ID: ${jobID}`);
+          resolve(jobID);
+        },
+        error: (err) => {
+          clearTimeout(timeout);
+          console.error('Thermal print error:', err);
+          reject(new PrintError(PRINT_ERROR_CODES.DRIVER_ERROR, `Print failed: ${err}`));
+        }
+      });
+    } catch (err) {
+      clearTimeout(timeout);
+      console.error('printDirect threw exception:', err);
+      reject(new PrintError(PRINT_ERROR_CODES.DRIVER_ERROR, `Failed to initialize print: ${err.message}`));
     }
   });
 
-  // Summary Section - Manual spacing for full width
-  printer.drawLine();
-  printer.println(createTwoColumnLine(
-    `Subtotal (${totals.totalQuantity})`,
-    CommaFormatted(CurrencyFormatted(totals.subtotal)),
-    charWidth
-  ));
-
-  // Charges - Manual spacing
-  totals.charges.forEach(charge => {
-    const inclusiveText = charge.applicationMethod === 'INCLUSIVE' ? ' (inc)' : '';
-    printer.println(createTwoColumnLine(
-      `${charge.chargeLabel}${inclusiveText}`,
-      CommaFormatted(CurrencyFormatted(Math.abs(charge.calculatedValue))),
-      charWidth
-    ));
-  });
+  return { spoolJobId };
+}
 
-  // Grand Total - Manual spacing
-  printer.println(createTwoColumnLine(
-    "TOTAL",
-    `${CommaFormatted(CurrencyFormatted(totals.grandTotal))}`,
-    charWidth
-  ));
+// Printer languages accepted by /print-raw
+const RAW_LANGUAGES = ['escpos', 'zpl', 'tspl'];
 
-  // Present only on sales finalized through the cash tender step.
-  const cashTendering = getSaleCashTendering(data);
+// Decoded size limit for /print-raw; keeps the base64 body under the 1mb JSON limit
+const MAX_RAW_BYTES = 512 * 1024;
 
-  // Payments - Manual spacing for full width
-  if (totals.payments.length > 0 || cashTendering) {
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
 
-    printer.drawLine();
+// Code page receipt printers ship with; set per request with options.codePage
+const DEFAULT_CODE_PAGE = CharacterSet.PC437_USA;
 
-    totals.payments.forEach(payment => {
-      // Display method with detail if exists (e.g., "Card - Visa")
-      const displayMethod = payment.methodDetail
-        ? `${payment.method} - ${payment.methodDetail}`
-        : payment.method;
+function isKnownCodePage(codePage) {
+  return Object.values(CharacterSet).includes(codePage);
+}
 
-      printer.println(createTwoColumnLine(
-        displayMethod,
-        CommaFormatted(CurrencyFormatted(payment.amount)),
-        charWidth
-      ));
+// Cash drawer kick-out connector pins (ESC p)
+const DRAWER_PINS = [2, 5];
 
-      if (payment.createdAt) {
-        const paymentDate = `${formatDate(payment.createdAt)}, ${formatTime(payment.createdAt)}`;
-        printer.println(`  ${paymentDate}, ${payment.user || 'Admin'}`);
-      }
+function isValidCopies(copies) {
+  return copies === undefined || (Number.isInteger(copies) && copies >= 1 && copies <= MAX_COPIES);
+}
 
-    });
+const THERMAL_MODES = ['text', 'raster'];
 
-    // Only separate the payment list from the totals when there is a list.
-    if (totals.payments.length > 0) {
-      printer.drawLine();
-    }
+// Label generators by printer language, for /print-label
+const LABEL_BUILDERS = {
+  zpl: buildZplLabels,
+  tspl: buildTsplLabels
+};
+const LABEL_LANGUAGES = Object.keys(LABEL_BUILDERS);
 
-    if (totals.totalPaid > 0) {
-      printer.println(createTwoColumnLine(
-        "PAID",
-        `${CommaFormatted(CurrencyFormatted(totals.totalPaid))}`,
-        charWidth
-      ));
-    }
+// TSC, Xprinter, Gprinter and similar budget label printers speak TSPL
+const TSPL_PRINTER_PATTERN = /\b(tsc|tspl|xprinter|xp-\d|gprinter|gp-\d|tdp-|ttp-|te\d{3})/i;
 
-    if (totals.balanceDue > 0) {
-      printer.println(createTwoColumnLine(
-        "DUE",
-        `${CommaFormatted(CurrencyFormatted(totals.balanceDue))}`,
-        charWidth
-      ));
-    }
+/**
+ * Language for a label job: the one requested, otherwise a guess from the
+ * printer name (Zebra-compatible ZPL unless it looks like a TSPL printer).
+ */
+function resolveLabelLanguage(language, printerName) {
+  if (language) return language;
+  return TSPL_PRINTER_PATTERN.test(printerName) ? 'tspl' : 'zpl';
+}
 
-    // Cash received / change back, matching the browser receipt.
-    if (cashTendering) {
-      printer.println(createTwoColumnLine(
-        "CASH RECEIVED",
-        `${CommaFormatted(CurrencyFormatted(cashTendering.tendered))}`,
-        charWidth
-      ));
-      printer.println(createTwoColumnLine(
-        "CHANGE",
-        `${CommaFormatted(CurrencyFormatted(cashTendering.changeDue))}`,
-        charWidth
-      ));
+/**
+ * Request shapes accepted for each job kind, shared by the HTTP routes and
+ * WebSocket 'print' messages so both accept exactly the same bodies.
+ *
+ * - withProfile(body, profile): the body with omitted fields taken from the
+ *   printer's profile (optional; see printer-profile.js)
+ * - validate(body): error body for a 400 response, or null when valid (may be async)
+ * - toJob(body, profile): printer the job is queued against and the payload it persists (may be async)
+ * - failure: error/details fields reported when the job fails
+ */
+const PRINT_REQUESTS = {
+  html: {
+    validate: (body) => {
+      if (!body.printer || !body.printer.name) {
+        return {
+          error: 'Invalid printer configuration',
+          message: 'Printer information is missing or invalid'
+        };
+      }
+      // HTML goes through the OS driver, which network printers don't have
+      if (getNetworkPrinter(body.printer.name)) {
+        return {
+          error: 'Printer does not support HTML printing',
+          message: `"${body.printer.name}" is a network printer; use /print-thermal with mode "raster" instead`
+        };
+      }
+      return null;
+    },
+    toJob: ({ printer, html, widthMM, heightMM, ignoreFailures }) => ({
+      printerName: printer.name,
+      payload: { printer, html, widthMM, heightMM, ignoreFailures: ignoreFailures === true }
+    }),
+    failure: {
+      error: 'Print operation failed',
+      details: 'Please check if the printer is available and connected'
+    }
+  },
+  thermal: {
+    withProfile: (body, profile) => ({
+      ...body,
+      widthMM: body.widthMM ?? profile.widthMM,
+      copies: body.copies ?? profile.copies,
+      options: {
+        ...body.options,
+        codePage: body.options?.codePage ?? profile.codePage,
+        drawerPin: body.options?.drawerPin ?? body.printer?.drawerPin ?? profile.drawerPin,
+        logoThreshold: body.options?.logoThreshold ?? profile.logoThreshold
+      }
+    }),
+    validate: (body) => {
+      const mode = body.mode || 'text';
+      if (!THERMAL_MODES.includes(mode)) {
+        return { error: 'Invalid mode', message: `mode must be one of: ${THERMAL_MODES.join(', ')}` };
+      }
+      if (body.html !== undefined && (mode !== 'raster' || typeof body.html !== 'string' || !body.html)) {
+        return { error: 'Invalid html', message: 'html must be a non-empty string and needs mode "raster"' };
+      }
+      // Raster mode can print the caller's HTML instead of a sale
+      if (!body.printer || !body.widthMM || (!body.html && (!body.data || !body.totals))) {
+        return { error: 'Missing required fields: printer, data, totals, widthMM' };
+      }
+      if (body.dpi !== undefined && !(Number(body.dpi) > 0)) {
+        return { error: 'Invalid dpi', message: 'dpi must be a positive number' };
+      }
+      if (body.options?.codePage !== undefined && !isKnownCodePage(body.options.codePage)) {
+        return { error: 'Unsupported code page', message: `options.codePage must be one of: ${Object.values(CharacterSet).join(', ')}` };
+      }
+      if (body.options?.drawerPin !== undefined && !DRAWER_PINS.includes(Number(body.options.drawerPin))) {
+        return { error: 'Invalid drawer pin', message: 'options.drawerPin must be 2 or 5' };
+      }
+      const threshold = body.options?.logoThreshold;
+      if (threshold !== undefined && !(Number.isInteger(threshold) && threshold >= 0 && threshold <= 255)) {
+        return { error: 'Invalid logo threshold', message: 'options.logoThreshold must be a whole number from 0 to 255' };
+      }
+      if (!isValidCopies(body.copies)) {
+        return { error: 'Invalid copies', message: `copies must be a whole number from 1 to ${MAX_COPIES}` };
+      }
+      const { invalid } = resolveReceiptTemplate(body);
+      return invalid || null;
+    },
+    // The template is resolved now and stored with the job, so editing a
+    // stored template never changes a receipt that is already queued
+    toJob: ({ printer, data, totals, widthMM, options, mode, html, dpi, copies, ...rest }, profile) => ({
+      printerName: printer.name,
+      payload: {
+        printer,
+        data,
+        totals,
+        widthMM,
+        options,
+        copies: copies || 1,
+        layout: getThermalLayout(profile),
+        template: resolveReceiptTemplate(rest).template,
+        ...(mode === 'raster' && { mode, html, dpi: Number(dpi) || printer.dpi || DEFAULT_DPI })
+      }
+    }),
+    failure: {
+      error: 'Thermal print operation failed',
+      details: 'Please check if the printer is available, connected, and supports thermal printing'
+    }
+  },
+  escpos: {
+    withProfile: (body, profile) => ({
+      ...body,
+      widthMM: body.widthMM ?? profile.widthMM,
+      codePage: body.codePage ?? profile.codePage,
+      copies: body.copies ?? profile.copies
+    }),
+    validate: (body) => {
+      if (!body.printer || !body.printer.name || !body.widthMM) {
+        return { error: 'Missing required fields: printer, widthMM, commands' };
+      }
+      if (body.codePage !== undefined && !isKnownCodePage(body.codePage)) {
+        return { error: 'Unsupported code page', message: `codePage must be one of: ${Object.values(CharacterSet).join(', ')}` };
+      }
+      if (!isValidCopies(body.copies)) {
+        return { error: 'Invalid copies', message: `copies must be a whole number from 1 to ${MAX_COPIES}` };
+      }
+      const problem = validateEscPosDocument(body.commands);
+      return problem ? { error: 'Invalid ESC/POS document', message: problem } : null;
+    },
+    toJob: ({ printer, widthMM, codePage, commands, copies }, profile) => ({
+      printerName: printer.name,
+      payload: {
+        printer,
+        widthMM,
+        codePage,
+        commands,
+        copies: copies || 1,
+        layout: getThermalLayout(profile),
+        imageThreshold: profile?.logoThreshold
+      }
+    }),
+    failure: {
+      error: 'ESC/POS print operation failed',
+      details: 'Please check if the printer is available, connected, and supports thermal printing'
     }
+  },
+  raw: {
+    withProfile: (body, profile) => ({ ...body, language: body.language ?? profile.language }),
+    validate: async (body) => {
+      if (!body.printer || !body.printer.name || !body.language || !body.data) {
+        return { error: 'Missing required fields: printer, language, data' };
+      }
+      if (!RAW_LANGUAGES.includes(body.language)) {
+        return { error: 'Unsupported language', message: `Expected one of: ${RAW_LANGUAGES.join(', ')}` };
+      }
+      if (typeof body.data !== 'string' || !BASE64_PATTERN.test(body.data)) {
+        return { error: 'Invalid data', message: 'data must be base64 encoded' };
+      }
 
-  }
+      const size = Buffer.byteLength(body.data, 'base64');
+      if (size === 0 || size > MAX_RAW_BYTES) {
+        return { error: 'Invalid data', message: `Payload must be between 1 and ${MAX_RAW_BYTES} bytes (got ${size})` };
+      }
 
-  // Notes
-  const visibleNotes = (data.notes || []).filter(n => n.visibleOnInvoice);
-  if (visibleNotes.length > 0) {
-    printer.newLine();
-    printer.drawLine();
-    printer.println('Notes:');
-
-    visibleNotes.forEach(note => {
-      printer.println(`- ${note.text}`);
-      if (note.createdAt) {
-        const noteDate = `${formatDate(note.createdAt)}, ${formatTime(note.createdAt)}`;
-        printer.println(`  ${noteDate}, ${note.author?.name || 'System'}`);
+      const { invalid } = await findRawPrinter(body.printer.name);
+      return invalid || null;
+    },
+    toJob: ({ printer, language, data }) => ({
+      printerName: printer.name,
+      payload: { printer, language, data }
+    }),
+    failure: {
+      error: 'Raw print operation failed',
+      details: 'Please check if the printer is available, connected, and understands the declared language'
+    }
+  },
+  label: {
+    withProfile: (body, profile) => ({
+      ...body,
+      language: body.language ?? (LABEL_LANGUAGES.includes(profile.language) ? profile.language : undefined),
+      label: body.label && { ...body.label, copies: body.label.copies ?? profile.copies }
+    }),
+    validate: async (body) => {
+      if (!body.printer || !body.printer.name || !body.label) {
+        return { error: 'Missing required fields: printer, label' };
       }
-    });
+      if (body.language && !LABEL_LANGUAGES.includes(body.language)) {
+        return { error: 'Unsupported language', message: `Expected one of: ${LABEL_LANGUAGES.join(', ')}` };
+      }
+
+      const problem = validateLabelDefinition(body.label);
+      if (problem) return { error: 'Invalid label definition', message: problem };
+
+      const { target, invalid } = await findRawPrinter(body.printer.name);
+      if (invalid) return invalid;
+
+      const mediaProblem = validateLabelMedia(resolveLabelMedia(body.label, target));
+      return mediaProblem ? { error: 'Invalid label definition', message: mediaProblem } : null;
+    },
+    // Media is resolved now so the queued job prints at the size it was validated for
+    toJob: async ({ printer, label, language }) => {
+      const { target } = await findRawPrinter(printer.name);
+      return {
+        printerName: printer.name,
+        payload: { printer, label, language: resolveLabelLanguage(language, printer.name), media: resolveLabelMedia(label, target) }
+      };
+    },
+    failure: {
+      error: 'Label print operation failed',
+      details: 'Please check if the label printer is available, connected, and loaded with labels'
+    }
+  },
+  drawer: {
+    withProfile: (body, profile) => ({ ...body, pin: body.pin ?? body.printer?.drawerPin ?? profile.drawerPin }),
+    validate: async (body) => {
+      if (!body.printer || !body.printer.name) {
+        return { error: 'Missing required fields: printer' };
+      }
+      if (body.pin !== undefined && !DRAWER_PINS.includes(Number(body.pin))) {
+        return { error: 'Invalid drawer pin', message: 'pin must be 2 or 5' };
+      }
+      const { invalid } = await findRawPrinter(body.printer.name);
+      return invalid || null;
+    },
+    toJob: ({ printer, pin, reason, user }) => ({
+      printerName: printer.name,
+      payload: { printer, pin: resolveDrawerPin(pin, printer), reason: reason || 'no sale', user: user || null }
+    }),
+    failure: {
+      error: 'Cash drawer operation failed',
+      details: 'Please check if the receipt printer is available and the drawer cable is connected'
+    }
+  },
+  // One station's ticket; POST /print-kitchen-order splits a whole order into these
+  kitchen: {
+    withProfile: (body, profile) => ({
+      ...body,
+      widthMM: body.widthMM ?? profile.widthMM,
+      codePage: body.codePage ?? profile.codePage,
+      copies: body.copies ?? profile.copies
+    }),
+    validate: (body) => {
+      if (!body.printer || !body.printer.name || !body.widthMM || !body.station) {
+        return { error: 'Missing required fields: printer, widthMM, station, order' };
+      }
+      if (body.codePage !== undefined && !isKnownCodePage(body.codePage)) {
+        return { error: 'Unsupported code page', message: `codePage must be one of: ${Object.values(CharacterSet).join(', ')}` };
+      }
+      if (!isValidCopies(body.copies)) {
+        return { error: 'Invalid copies', message: `copies must be a whole number from 1 to ${MAX_COPIES}` };
+      }
+      const problem = validateKitchenOrder(body.order);
+      return problem ? { error: 'Invalid kitchen order', message: problem } : null;
+    },
+    toJob: ({ printer, widthMM, codePage, station, order, copies }, profile) => ({
+      printerName: printer.name,
+      payload: {
+        printer,
+        widthMM,
+        codePage,
+        station,
+        order: { ...order, time: order.time ?? new Date().toISOString() },
+        copies: copies || 1,
+        layout: getThermalLayout(profile)
+      }
+    }),
+    failure: {
+      error: 'Kitchen ticket print failed',
+      details: 'Please check if the station printer is available, connected, and supports thermal printing'
+    }
   }
+};
 
-  // Terms & Conditions (HTML from React Quill)
-  if (data.termsAndConditions) {
-    const termsLines = htmlToReceiptLines(data.termsAndConditions, charWidth);
-    const hasVisibleTerms = termsLines.some(line => line && line.trim().length > 0);
+/**
+ * Looks a printer up in listAllPrinters. Only real devices can take raw
+ * bytes; a PDF or XPS writer would just produce a broken file.
+ *
+ * @returns {Promise<{target?: object, invalid?: object}>} The printer entry, or an error body.
+ */
+async function findRawPrinter(printerName) {
+  const printers = await listAllPrinters();
+  const target = printers.find(p => p.id === printerName || p.name === printerName);
 
-    if (hasVisibleTerms) {
-      printer.newLine();
-      printer.drawLine();
-      printer.bold(true);
-      printer.println('Terms & Conditions');
-      // Body should be normal weight
-      printer.bold(false);
+  if (!target) {
+    return { invalid: { error: 'Printer not found', message: `No printer named "${printerName}"` } };
+  }
+  if (target.type !== 'physical' && target.type !== 'network') {
+    return { invalid: { error: 'Printer does not accept raw data', message: `"${target.name}" is a ${target.type} printer` } };
+  }
+  return { target };
+}
 
-      termsLines.forEach(line => printer.println(line));
+/**
+ * A print request sent to a `role` instead of a printer, with printer.name
+ * set to the printer the role resolves to now (see printer-roles.js).
+ *
+ * @param {object} body Request body (HTTP) or message (WebSocket).
+ * @returns {Promise<{body?: object, invalid?: object}>}
+ */
+async function applyPrinterRole(body) {
+  if (body?.role === undefined) return { body };
 
-      // Restore bold for the rest of the receipt
-      printer.bold(true);
-    }
+  if (body.printer?.name) {
+    return { invalid: { error: 'Invalid printer configuration', message: 'Send either printer.name or role, not both' } };
+  }
+  const role = getPrinterRole(body.role);
+  if (!role) {
+    return { invalid: { error: 'Unknown printer role', message: `No printer role named "${body.role}"` } };
   }
 
-  // Footer
-  printer.newLine();
-  printer.alignCenter();
-  printer.setTextNormal(); // Reset to normal size before footer
-  printer.setTypeFontB();  // Switch to smaller font
-  printer.println('Powered by ProSystem');
-  printer.setTypeFontA();  // Reset to normal font
-
-  // Reset bold before cutting paper
-  printer.bold(false);
+  const { printerName, usedFallback } = choosePrinterForRole(role, await listAllPrinters());
+  if (usedFallback) {
+    console.log(`Role "${body.role}": "${role.printer}" is offline, printing on fallback "${printerName}"`);
+  }
+  return { body: { ...body, printer: { ...body.printer, name: printerName } } };
+}
 
-  // Cut paper
-  printer.cut();
+/**
+ * A print request with the printer profile's settings filled in.
+ *
+ * @param {string} kind Key of PRINT_REQUESTS.
+ * @param {object} body Request body (HTTP) or message (WebSocket).
+ * @returns {{body: object, profile: object|null}}
+ */
+function applyPrinterProfile(kind, body) {
+  const { withProfile } = PRINT_REQUESTS[kind];
+  const profile = getPrinterProfile(body?.printer?.name);
+  return { body: profile && withProfile ? withProfile(body, profile) : body, profile };
 }
 
+/**
+ * Resolves and validates a print request without queueing it.
+ *
+ * @param {string} kind Key of PRINT_REQUESTS.
+ * @param {object} body Request body (HTTP) or message (WebSocket).
+ * @returns {Promise<{printerName?: string, payload?: object, invalid?: object}>}
+ */
+async function preparePrintRequest(kind, body) {
+  const request = PRINT_REQUESTS[kind];
+  const routed = await applyPrinterRole(body);
+  if (routed.invalid) return { invalid: routed.invalid };
+
+  const { body: resolved, profile } = applyPrinterProfile(kind, routed.body);
+  const invalid = await request.validate(resolved);
+  if (invalid) return { invalid };
+
+  return request.toJob(resolved, profile);
+}
 
 /**
- * Calculate optimal character width for thermal printer based on paper width
- * Uses real-world thermal printer specifications
+ * Validates a print request and queues it.
  *
- * @param {number} widthMM - Paper width in millimeters
- * @returns {number} - Recommended character count per line
+ * @param {string} kind Key of PRINT_REQUESTS.
+ * @param {object} body Request body (HTTP) or message (WebSocket).
+ * @returns {Promise<{job?: object, invalid?: object}>}
  */
-function getOptimalCharacterWidth(widthMM) {
-  if (widthMM >= 76 && widthMM <= 80) return 44; // Test value
-  // Standard thermal printer paper widths and their character counts
-  // Based on Font A (12x24) at 203 DPI with 3mm margins
-  const standardWidths = {
-    58: 32,   // 58mm paper - Common for mobile printers
-    76: 42,   // 76mm paper - Less common
-    80: 48,   // 80mm paper - Most common for receipts
-    82: 48,   // 82mm paper
-    110: 64,  // 110mm paper - Wider receipts
-  };
+async function queuePrintRequest(kind, body) {
+  const { printerName, payload, invalid } = await preparePrintRequest(kind, body);
+  if (invalid) return { invalid };
+  return { job: printQueue.enqueue(kind, printerName, payload) };
+}
 
-  // Find closest standard width
-  const widths = Object.keys(standardWidths).map(Number);
-  const closest = widths.reduce((prev, curr) => {
-    return Math.abs(curr - widthMM) < Math.abs(prev - widthMM) ? curr : prev;
-  });
+/**
+ * Splits a kitchen order by station and queues one ticket per station. Each
+ * station prints to `stations[station]` (a role name, or { printer } / { role }),
+ * or else to the printer role named after the station. Nothing is queued
+ * unless every station's ticket is valid.
+ *
+ * @param {{order: object, categories?: object, stations?: object, widthMM?: number, codePage?: string, copies?: number}} body
+ * @returns {Promise<{tickets?: {station: string, job: object}[], invalid?: object}>}
+ */
+async function queueKitchenOrder(body) {
+  const { order, categories, stations = {}, widthMM, codePage, copies } = body || {};
+  const problem = validateKitchenOrder(order) || validateKitchenRouting(order, categories);
+  if (problem) {
+    return { invalid: { error: 'Invalid kitchen order', message: problem } };
+  }
+  if (!stations || typeof stations !== 'object' || Array.isArray(stations)) {
+    return { invalid: { error: 'Invalid kitchen order', message: 'stations must map station names to printer roles' } };
+  }
 
-  // If within 2mm of standard, use standard value
-  if (Math.abs(closest - widthMM) <= 2) {
-    return standardWidths[closest];
+  const prepared = [];
+  for (const { station, items } of splitOrderByStation(order, categories)) {
+    const mapped = stations[station];
+    const target = typeof mapped === 'string' ? { role: mapped } : mapped || { role: station };
+    const request = await preparePrintRequest('kitchen', { ...target, widthMM, codePage, copies, station, order: { ...order, items } });
+    if (request.invalid) {
+      return { invalid: { ...request.invalid, message: `Station "${station}": ${request.invalid.message || request.invalid.error}` } };
+    }
+    prepared.push({ station, ...request });
   }
 
-  // Otherwise calculate dynamically
-  // Formula: (printableWidthMM / 10) * 5.9 chars/cm for 203 DPI Font A
-  const printableWidthMM = widthMM - 6; // 3mm margins on each side
-  const printableWidthCM = printableWidthMM / 10;
-  const charsPerCM = 5.9; // Standard for Font A at 203 DPI
-  const calculatedChars = Math.floor(printableWidthCM * charsPerCM);
+  return {
+    tickets: prepared.map(({ station, printerName, payload }) => ({ station, job: printQueue.enqueue('kitchen', printerName, payload) }))
+  };
+}
 
-  // Return constrained value (thermal printers typically support 32-64 chars)
-  return Math.max(32, Math.min(64, calculatedChars));
+function drawerLogPath() {
+  return path.join(app.getPath('userData'), 'drawer-log.json');
 }
 
+// Drawer openings kept for the audit trail
+const MAX_DRAWER_LOG_ENTRIES = 1000;
+
 /**
- * Pad string to the right with spaces
+ * Records a cash drawer opening. Logging must never fail the print, so
+ * errors are only reported to the console.
  */
-function padRight(str, length) {
-  str = str.toString();
-  if (str.length >= length) return str.substring(0, length);
-  return str + ' '.repeat(length - str.length);
+function logDrawerOpen({ printer: printerName, pin, reason, user = null, jobId }) {
+  try {
+    const entries = readJsonFile(drawerLogPath(), []);
+    entries.push({ at: new Date().toISOString(), printer: printerName, pin, reason, user, jobId });
+    writeJsonFile(drawerLogPath(), entries.slice(-MAX_DRAWER_LOG_ENTRIES));
+  } catch (error) {
+    console.error('Failed to record cash drawer opening:', error.message);
+  }
 }
 
 /**
- * Pad string to the left with spaces
+ * Names for the JSON stores below. Lookups check own keys only (Object.hasOwn)
+ * so names like "constructor" are not found on Object.prototype, and
+ * "__proto__" is refused because assigning it would not add an entry.
+ *
+ * @returns {string|null} A description of the problem, or null when usable.
  */
-function padLeft(str, length) {
-  str = str.toString();
-  if (str.length >= length) return str.substring(0, length);
-  return ' '.repeat(length - str.length) + str;
+function validateStoreKey(name) {
+  return name === '__proto__' ? '"__proto__" cannot be used as a name' : null;
+}
+
+function networkPrintersPath() {
+  return path.join(app.getPath('userData'), 'network-printers.json');
+}
+
+/** Network printers saved through PUT /network-printers/:name, keyed by name. */
+function loadNetworkPrinters() {
+  return readJsonFile(networkPrintersPath(), {});
+}
+
+/** @returns {object|null} The stored network printer by that name, if there is one. */
+function getNetworkPrinter(name) {
+  const stored = loadNetworkPrinters();
+  return Object.hasOwn(stored, name) ? stored[name] : null;
 }
 
 /**
- * Create a two-column layout with exact character positioning
+ * OS printers (formatPrinterList) followed by the configured network printers,
+ * with their last polled status (see printer-status.js).
+ *
+ * @param {Electron.WebContents} [webContents] Defaults to the one the API was started with.
  */
-function createTwoColumnLine(leftText, rightText, totalWidth) {
-  const leftStr = leftText.toString();
-  const rightStr = rightText.toString();
+async function listAllPrinters(webContents = globalWebContents) {
+  const printers = formatPrinterList(await webContents.getPrintersAsync());
+  const network = Object.entries(loadNetworkPrinters()).map(([name, printer]) => ({
+    ...toPrinterListEntry(name, printer),
+    ...printerStatusMonitor.get(name)
+  }));
+  return [...printers, ...network];
+}
 
-  // Calculate spacing
-  const spaceNeeded = totalWidth - leftStr.length - rightStr.length;
+/**
+ * Validates and stores a network printer, then pushes the new printer list.
+ *
+ * @returns {Promise<{printer: object}|{error: string, message: string}>}
+ *   The saved printer, or why it was rejected.
+ */
+async function saveNetworkPrinter(name, config, webContents = globalWebContents) {
+  const problem = validateStoreKey(name) || validateNetworkPrinter(config);
+  if (problem) {
+    return { error: 'Invalid network printer', message: problem };
+  }
 
-  if (spaceNeeded < 1) {
-    // Truncate left text if too long
-    const truncatedLeft = leftStr.substring(0, totalWidth - rightStr.length - 1);
-    return truncatedLeft + ' ' + rightStr;
+  const osPrinters = formatPrinterList(await webContents.getPrintersAsync());
+  if (osPrinters.some(p => p.id === name || p.name === name)) {
+    return {
+      error: 'Printer name in use',
+      message: `"${name}" is already an installed printer; pick another name`
+    };
   }
 
-  return leftStr + ' '.repeat(spaceNeeded) + rightStr;
+  const stored = loadNetworkPrinters();
+  stored[name] = normalizeNetworkPrinter(config);
+  writeJsonFile(networkPrintersPath(), stored);
+  broadcastPrinterStatus(await listAllPrinters(webContents));
+  printerStatusMonitor.poll();
+  return { printer: { name, ...stored[name] } };
 }
 
+// Scans take seconds; callers arriving meanwhile share the running one
+let discoveryInProgress = null;
+
 /**
- * Build deterministic integer column widths for item table rows.
- * Ensures all columns always sum to charWidth to avoid tableCustom rounding drift.
+ * Printers found on the local network (see printer-discovery.js), each with
+ * `configuredAs`: the name it is already saved under, or null.
  */
-function getItemTableColumns(charWidth) {
-  const targetWidth = Math.max(1, Math.floor(charWidth));
-  const minimums = {
-    sl: 2,
-    item: 10,
-    qty: 3,
-    rate: 6,
-    amount: 7
-  };
-  const ratios = {
-    sl: 0.07,
-    item: 0.45,
-    qty: 0.12,
-    rate: 0.16,
-    amount: 0.20
-  };
+async function discoverNetworkPrinters() {
+  if (!discoveryInProgress) {
+    discoveryInProgress = discoverPrinters().finally(() => { discoveryInProgress = null; });
+  }
+  const { subnets, printers } = await discoveryInProgress;
 
-  const cols = {
-    sl: Math.floor(targetWidth * ratios.sl),
-    item: Math.floor(targetWidth * ratios.item),
-    qty: Math.floor(targetWidth * ratios.qty),
-    rate: Math.floor(targetWidth * ratios.rate),
-    amount: Math.floor(targetWidth * ratios.amount)
+  const stored = Object.entries(loadNetworkPrinters());
+  return {
+    subnets,
+    printers: printers.map(candidate => {
+      const match = stored.find(([, saved]) => saved.host === candidate.host && candidate.ports.includes(saved.port));
+      return { ...candidate, configuredAs: match ? match[0] : null };
+    })
   };
+}
 
-  // Enforce per-column minimums first.
-  cols.sl = Math.max(cols.sl, minimums.sl);
-  cols.item = Math.max(cols.item, minimums.item);
-  cols.qty = Math.max(cols.qty, minimums.qty);
-  cols.rate = Math.max(cols.rate, minimums.rate);
-  cols.amount = Math.max(cols.amount, minimums.amount);
-
-  // If we exceed line width, shrink less-critical columns first.
-  const shrinkOrder = ['amount', 'rate', 'qty', 'sl'];
-  let total = cols.sl + cols.item + cols.qty + cols.rate + cols.amount;
-  if (total > targetWidth) {
-    let overflow = total - targetWidth;
-    shrinkOrder.forEach((key) => {
-      if (overflow <= 0) return;
-      const reducible = cols[key] - minimums[key];
-      if (reducible <= 0) return;
-      const reduceBy = Math.min(reducible, overflow);
-      cols[key] -= reduceBy;
-      overflow -= reduceBy;
-    });
+function printerProfilesPath() {
+  return path.join(app.getPath('userData'), 'printer-profiles.json');
+}
 
-    if (overflow > 0) {
-      const reducibleItem = cols.item - minimums.item;
-      const reduceBy = Math.min(reducibleItem, overflow);
-      cols.item -= reduceBy;
-      overflow -= reduceBy;
-    }
-  }
+/** Printer profiles saved through PUT /printer-profiles/:id, keyed by printer ID. */
+function loadPrinterProfiles() {
+  return readJsonFile(printerProfilesPath(), {});
+}
 
-  // Assign remaining slack to the item column.
-  total = cols.sl + cols.item + cols.qty + cols.rate + cols.amount;
-  if (total < targetWidth) {
-    cols.item += targetWidth - total;
+/** @returns {object|null} The stored profile of a printer, if it has one. */
+function getPrinterProfile(printerId) {
+  if (!printerId) return null;
+  const stored = loadPrinterProfiles();
+  return Object.hasOwn(stored, printerId) ? stored[printerId] : null;
+}
+
+/**
+ * Validates and stores a printer profile, replacing any previous one.
+ *
+ * @returns {{profile: object}|{error: string, message: string}}
+ */
+function savePrinterProfile(printerId, profile) {
+  const problem = validateStoreKey(printerId) || validatePrinterProfile(profile);
+  if (problem) {
+    return { error: 'Invalid printer profile', message: problem };
   }
 
-  return cols;
+  const stored = loadPrinterProfiles();
+  stored[printerId] = normalizePrinterProfile(profile);
+  writeJsonFile(printerProfilesPath(), stored);
+  return { profile: { id: printerId, ...stored[printerId] } };
+}
+
+function pairedClientsPath() {
+  return path.join(app.getPath('userData'), 'paired-clients.json');
 }
 
 /**
- * Wrap text to fit within a specific character width
+ * Express middleware for every route but pairing: needs a paired client's
+ * token, and their origin when the request has one (see client-pairing.js).
  */
-function wrapText(text, maxWidth) {
-  if (text.length <= maxWidth) {
-    return [text];
+function requirePairedClient(req, res, next) {
+  const token = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const { invalid, status } = clientPairing.authenticate(token, req.headers.origin);
+  if (invalid) {
+    return res.status(status).json(invalid);
   }
+  next();
+}
 
-  const lines = [];
-  let remaining = text;
+/** ws verifyClient: the token comes as ?token= since browsers cannot set headers on a WebSocket. */
+function verifySocketClient({ origin, req }, done) {
+  const token = new URL(req.url, 'ws://127.0.0.1').searchParams.get('token');
+  const { client, invalid, status } = clientPairing.authenticate(token, origin);
+  if (invalid) {
+    return done(false, status, invalid.error);
+  }
+  req.clientId = client.id;
+  done(true);
+}
 
-  while (remaining.length > 0) {
-    if (remaining.length <= maxWidth) {
-      lines.push(remaining);
-      break;
-    }
+function printerRolesPath() {
+  return path.join(app.getPath('userData'), 'printer-roles.json');
+}
 
-    // Try to break at a space before maxWidth
-    let breakPoint = maxWidth;
-    const lastSpace = remaining.substring(0, maxWidth).lastIndexOf(' ');
+/** Printer roles saved through PUT /printer-roles/:role, keyed by role name. */
+function loadPrinterRoles() {
+  return readJsonFile(printerRolesPath(), {});
+}
 
-    if (lastSpace > 0) {
-      breakPoint = lastSpace;
-    }
+/** @returns {object|null} The stored role, if there is one by that name. */
+function getPrinterRole(roleName) {
+  const stored = loadPrinterRoles();
+  return Object.hasOwn(stored, roleName) ? stored[roleName] : null;
+}
 
-    lines.push(remaining.substring(0, breakPoint).trim());
-    remaining = remaining.substring(breakPoint).trim();
+/**
+ * Validates and stores a printer role, replacing any previous one.
+ *
+ * @returns {{role: object}|{error: string, message: string}}
+ */
+function savePrinterRole(roleName, role) {
+  const problem = validateRoleName(roleName) || validateStoreKey(roleName) || validatePrinterRole(role);
+  if (problem) {
+    return { error: 'Invalid printer role', message: problem };
   }
 
-  return lines;
+  const stored = loadPrinterRoles();
+  stored[roleName] = normalizePrinterRole(role);
+  writeJsonFile(printerRolesPath(), stored);
+  return { role: { name: roleName, ...stored[roleName] } };
+}
+
+function receiptTemplatesPath() {
+  return path.join(app.getPath('userData'), 'receipt-templates.json');
+}
+
+/** Tenant templates saved through PUT /receipt-templates/:name, keyed by name. */
+function loadStoredReceiptTemplates() {
+  return readJsonFile(receiptTemplatesPath(), {});
 }
 
 /**
- * Convert basic HTML (React Quill output) into wrapped receipt lines
- * Supports paragraphs, line breaks, and bullet lists.
+ * Picks the receipt template for a thermal request: an inline `template`,
+ * a stored one named by `templateName`, or the shipped default.
+ *
+ * @returns {{template?: object, invalid?: object}}
  */
-function htmlToReceiptLines(html, maxWidth) {
-  if (!html) return [];
-
-  let text = html;
-
-  // Normalize common block/line elements to newlines
-  text = text.replace(/<\s*br\s*\/?>/gi, '\n');
-  text = text.replace(/<\s*\/p\s*>/gi, '\n\n');
-  text = text.replace(/<\s*p[^>]*>/gi, '');
-  text = text.replace(/<\s*li[^>]*>/gi, '- ');
-  text = text.replace(/<\s*\/li\s*>/gi, '\n');
-  text = text.replace(/<\s*(ul|ol)[^>]*>/gi, '');
-  text = text.replace(/<\s*\/(ul|ol)\s*>/gi, '\n');
-
-  // Decode a few common entities
-  text = text.replace(/&nbsp;/gi, ' ');
-  text = text.replace(/&amp;/gi, '&');
-  text = text.replace(/&lt;/gi, '<');
-  text = text.replace(/&gt;/gi, '>');
-  text = text.replace(/&#39;/gi, "'");
-  text = text.replace(/&quot;/gi, '"');
-
-  // Strip remaining tags
-  text = text.replace(/<[^>]+>/g, '');
-
-  // Clean whitespace
-  text = text.replace(/\r\n/g, '\n');
-  text = text.replace(/\n{3,}/g, '\n\n');
-  text = text.trim();
-
-  const lines = [];
-  text.split('\n').forEach(block => {
-    const trimmed = block.trim();
-    if (trimmed.length === 0) {
-      lines.push(''); // preserve intentional blank line
-    } else {
-      lines.push(...wrapText(trimmed, maxWidth));
-    }
-  });
+function resolveReceiptTemplate({ template, templateName }) {
+  if (template) {
+    const problem = validateReceiptTemplate(template);
+    return problem
+      ? { invalid: { error: 'Invalid receipt template', message: problem } }
+      : { template };
+  }
 
-  return lines;
+  if (!templateName || templateName === DEFAULT_RECEIPT_TEMPLATE.name) {
+    return { template: DEFAULT_RECEIPT_TEMPLATE };
+  }
+
+  const stored = loadStoredReceiptTemplates();
+  return Object.hasOwn(stored, templateName)
+    ? { template: stored[templateName] }
+    : { invalid: { error: 'Unknown receipt template', message: `No receipt template named "${templateName}"` } };
 }
 
 let wss;
 let globalWebContents;
 let httpServer;
+let httpsServer; // TLS only, see startTlsListeners
+let secureSocketServer;
+let printQueue;
+let escPosEmulator; // development only, see startApi
+
+// Network printers are polled for paper, cover and error state once the API starts
+const printerStatusMonitor = new PrinterStatusMonitor({
+  getPrinters: () => Object.entries(loadNetworkPrinters()).map(([name, p]) => ({ name, ...p })),
+  isBusy: name => Boolean(printQueue?.isPrinterBusy(name))
+});
+
+// Web apps paired through POST /pair; everything else needs their token
+const clientPairing = new ClientPairing({ getStorePath: pairedClientsPath });
+
+// A revoked app loses its open WebSocket connections too
+clientPairing.on('revoked', (clientId) => {
+  wss?.clients.forEach(socket => {
+    if (socket.clientId === clientId) socket.close(4001, 'Pairing revoked');
+  });
+});
+
 let apiStartupAttempts = 0;
 const MAX_STARTUP_ATTEMPTS = 3;
 
+// { http, ws, https?, wss? } the API is listening on, once it has started (see agent-ports.js)
+let activePorts = null;
+// Ports skipped because another application owns them: [{ port, owner }]
+let portConflicts = [];
+
+// Download of the local CA the HTTPS and WSS listeners are signed with
+const CA_CERTIFICATE_PATH = '/ca.crt';
+
 /**
  * Check if a port is available
  * @param {number} port - Port number to check
@@ -819,10 +1317,18 @@ async function attemptGracefulShutdown(port) {
         port: port,
         path: '/shutdown',
         method: 'POST',
+        headers: { [AGENT_SECRET_HEADER]: getAgentSecret(app.getPath('userData')) },
         timeout: 2000
       };
 
       const req = http.request(options, (res) => {
+        res.resume();
+        // Agents without the shutdown secret refuse; killOldAgentOnPort frees the port instead
+        if (res.statusCode !== 200) {
+          console.log(`Old instance on port ${port} refused the shutdown request (${res.statusCode})`);
+          resolve(false);
+          return;
+        }
         console.log(`Graceful shutdown signal sent to old instance on port ${port}`);
         // Wait a bit for the old instance to shut down
         setTimeout(() => resolve(true), 2000);
@@ -841,75 +1347,58 @@ async function attemptGracefulShutdown(port) {
       req.end();
     } catch (error) {
       resolve(false);
-    }
-  });
-}
-
-/**
- * Kill processes using specific ports (Windows-specific)
- * @param {number} port - Port number to free up
- */
-async function killProcessOnPort(port) {
-  return new Promise((resolve) => {
-    if (process.platform !== 'win32') {
-      resolve(false);
-      return;
-    }
-
-    const { exec } = require('child_process');
-
-    // Find the PID using the port - use word boundary to match exact port
-    exec(`netstat -ano | findstr ":${port} "`, (error, stdout) => {
-      if (error || !stdout) {
-        resolve(false);
-        return;
-      }
-
-      // Extract PID from netstat output
-      const lines = stdout.trim().split('\n');
-      const pids = new Set();
-
-      lines.forEach(line => {
-        // More precise check: ensure we're matching the exact port number
-        // Look for patterns like ":21321 " (with space after) to avoid matching :213210
-        const portPattern = new RegExp(`:${port}\\s`);
-        if (portPattern.test(line)) {
-          const parts = line.trim().split(/\s+/);
-          const pid = parts[parts.length - 1];
-          if (pid && !isNaN(pid) && pid !== '0') {
-            pids.add(pid);
-          }
-        }
-      });
-
-      if (pids.size === 0) {
-        resolve(false);
-        return;
-      }
-
-      // Kill all PIDs found
-      let killCount = 0;
-      pids.forEach(pid => {
-        exec(`taskkill /F /PID ${pid}`, (killError) => {
-          killCount++;
-          if (killCount === pids.size) {
-            console.log(`Forcefully terminated ${pids.size} process(es) on port ${port}`);
-            // Wait a bit for the OS to release the port
-            setTimeout(() => resolve(true), 1500);
-          }
-        });
-      });
-    });
+    }
   });
 }
 
 /**
- * Ensure ports are available, attempting recovery if needed
- * @param {number[]} ports - Array of ports to check and free
- * @returns {Promise<boolean>} - True if all ports are now available
+ * Kill previous copies of the agent still holding a port; other processes are left alone
+ * @param {number} port - Port number to free up
+ * @returns {Promise<object[]>} - Owners of the port that are not the agent
+ */
+async function killOldAgentOnPort(port) {
+  const { killed, others } = await killAgentOnPort(port);
+  if (killed.length > 0) {
+    console.log(`Forcefully terminated ${killed.length} old instance(s) on port ${port}`);
+    // Wait a bit for the OS to release the port
+    await new Promise(resolve => setTimeout(resolve, 1500));
+  }
+  return others;
+}
+
+function recordPortConflict(port, owners) {
+  const owner = describePortOwners(owners);
+  console.log(`Port ${port} is owned by ${owner}`);
+  portConflicts.push({ port, owner });
+}
+
+/**
+ * Ensure a set of agent ports is available, attempting recovery if another print agent holds them
+ * @param {{http: number, ws: number, https?: number, wss?: number}} ports - Ports to check and free
+ * @returns {Promise<boolean>} - True if all the ports are now available
  */
 async function ensurePortsAvailable(ports) {
-  for (const port of ports) {
+  const busyPorts = [];
+  for (const port of Object.values(ports)) {
+    if (!(await isPortAvailable(port))) busyPorts.push(port);
+  }
+  if (busyPorts.length === 0) return true;
+
+  // Only a print agent is asked to give its ports up, whether it answers the
+  // discovery probe or is recognised by its executable (older versions, hung
+  // instances); other applications keep them and startApi moves on to the next pair
+  const owners = new Map();
+  for (const port of busyPorts) {
+    owners.set(port, await findPortOwners(port));
+  }
+  const isAgent = Boolean(await probeAgent(ports.http)) ||
+    busyPorts.every(port => owners.get(port).length > 0 && owners.get(port).every(owner => isAgentProcess(owner)));
+  if (!isAgent) {
+    busyPorts.forEach(port => recordPortConflict(port, owners.get(port)));
+    return false;
+  }
+
+  for (const port of busyPorts) {
     const available = await isPortAvailable(port);
 
     if (!available) {
@@ -926,14 +1415,15 @@ async function ensurePortsAvailable(ports) {
         }
       }
 
-      // Step 2: Force kill the process
-      console.log(`Graceful shutdown failed. Force killing process on port ${port}...`);
-      await killProcessOnPort(port);
+      // Step 2: Force kill the old instance
+      console.log(`Graceful shutdown failed. Force killing old instance on port ${port}...`);
+      const others = await killOldAgentOnPort(port);
 
       // Step 3: Final check
       const finalCheck = await isPortAvailable(port);
       if (!finalCheck) {
         console.error(`Failed to free port ${port} after all attempts`);
+        recordPortConflict(port, others);
         return false;
       }
     }
@@ -942,15 +1432,60 @@ async function ensurePortsAvailable(ports) {
   return true;
 }
 
+/**
+ * HTTPS and WSS listeners next to the plain ones, which stay available for web
+ * apps that have not moved yet. Both serve the same API and WebSocket server.
+ * @param {express.Application} api
+ */
+function startTlsListeners(api) {
+  let credentials;
+  try {
+    credentials = getTlsCredentials(app.getPath('userData'));
+  } catch (error) {
+    console.error('Could not set up the TLS certificate; serving plain HTTP only:', error);
+    activePorts = { http: activePorts.http, ws: activePorts.ws };
+    return;
+  }
+  const { key, cert } = credentials;
+
+  httpsServer = https.createServer({ key, cert }, api);
+  httpsServer.listen(activePorts.https, '127.0.0.1', () => {
+    console.log(`▶ Print agent API at https://127.0.0.1:${activePorts.https} (WebSocket ${activePorts.wss})`);
+  });
+
+  // WSS connections join the plain WebSocket server, so broadcasts reach both
+  secureSocketServer = https.createServer({ key, cert }, (_req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Upgrade Required');
+  });
+  secureSocketServer.on('upgrade', (req, socket, head) => {
+    wss.handleUpgrade(req, socket, head, client => wss.emit('connection', client, req));
+  });
+  secureSocketServer.listen(activePorts.wss, '127.0.0.1');
+
+  [httpsServer, secureSocketServer].forEach(server => server.on('error', (err) => {
+    console.error('TLS listener error:', err);
+  }));
+}
+
 async function startApi(webContents) {
   globalWebContents = webContents;
 
   try {
-    // Ensure both ports are available before starting
+    // Use the configured ports, or the first fallback pair other applications leave free
     console.log('Checking port availability...');
-    const portsAvailable = await ensurePortsAvailable([21321, 21322]);
+    const configuredPorts = loadPortConfig(app.getPath('userData'));
+    const candidates = candidatePorts(configuredPorts);
+    portConflicts = [];
+    let ports = null;
+    for (const candidate of candidates) {
+      if (await ensurePortsAvailable(candidate)) {
+        ports = candidate;
+        break;
+      }
+    }
 
-    if (!portsAvailable) {
+    if (!ports) {
       apiStartupAttempts++;
       if (apiStartupAttempts < MAX_STARTUP_ATTEMPTS) {
         console.log(`Retrying API startup (attempt ${apiStartupAttempts + 1}/${MAX_STARTUP_ATTEMPTS})...`);
@@ -961,15 +1496,63 @@ async function startApi(webContents) {
         // Send error notification to main process
         if (globalWebContents) {
           globalWebContents.send('api-startup-failed', {
-            error: 'Ports 21321 and 21322 are occupied and cannot be freed'
+            error: `Ports ${Object.values(candidates[0]).join(', ')} and their fallbacks are occupied and cannot be freed` +
+              portConflicts.map(conflict => `; port ${conflict.port} owned by ${conflict.owner}`).join('')
           });
         }
         return;
       }
     }
 
+    if (ports.http !== configuredPorts.http) {
+      console.log(`Ports ${Object.values(configuredPorts).join(', ')} are taken; using ${Object.values(ports).join(', ')}`);
+    }
+    activePorts = ports;
     console.log('Ports available. Starting API services...');
 
+    // Create the queue once; startApi may run again on retry
+    if (!printQueue) {
+      printQueue = new PrintQueue({
+        storePath: path.join(app.getPath('userData'), 'print-jobs.json'),
+        handlers: {
+          html: printHtmlJob,
+          thermal: printThermalJob,
+          escpos: printEscPosJob,
+          raw: printRawJob,
+          label: printLabelJob,
+          drawer: openDrawerJob,
+          kitchen: printKitchenTicketJob
+        }
+      });
+
+      // Relay job lifecycle to every WebSocket client
+      ['job-queued', 'job-started', 'job-completed', 'job-failed'].forEach(type => {
+        printQueue.on(type, job => broadcast({
+          type,
+          jobId: job.id,
+          printer: job.printer,
+          error: job.error,
+          errorCode: job.errorCode,
+          job
+        }));
+      });
+
+      printQueue.restore();
+    }
+
+    printerStatusMonitor.start();
+
+    // Development prints go to the built-in virtual printer (see sendRawToPrinter).
+    // If something else already has the port, such as ZplEscPrinter, it is used instead.
+    if (process.env.NODE_ENV === 'development' && !escPosEmulator) {
+      escPosEmulator = new EscPosEmulator({
+        charWidth: getOptimalCharacterWidth(80),
+        widthDots: getPrintableWidthDots(80, DEFAULT_DPI),
+        dpi: DEFAULT_DPI
+      });
+      await escPosEmulator.start(getEmulatorPort());
+    }
+
     const api = express();
 
     // Add Private Network Access header for Chrome's Private Network Access security
@@ -980,20 +1563,74 @@ async function startApi(webContents) {
       next();
     });
 
-    // Enable CORS for all origins with full OPTIONS support
-    api.use(cors({
-      origin: '*',
-      methods: ['GET', 'POST', 'OPTIONS'],
+    // CORS with full OPTIONS support: any origin may find the agent, fetch its
+    // CA certificate and ask to pair, only paired origins may call the rest
+    // (requirePairedClient checks their token too)
+    api.use(cors((req, callback) => callback(null, {
+      origin: req.path === WELL_KNOWN_PATH || req.path === CA_CERTIFICATE_PATH || req.path === '/pair' ||
+        req.path.startsWith('/pair/') || clientPairing.isPairedOrigin(req.headers.origin),
+      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
       allowedHeaders: ['Content-Type', 'Authorization'],
       credentials: false,
       preflightContinue: false,
       optionsSuccessStatus: 204
-    }));
+    })));
 
     api.use(bodyParser.json({ limit: '1mb' }));
 
-    // Add graceful shutdown endpoint
-    api.post('/shutdown', (_req, res) => {
+    // Discovery: web apps probe this path across the agent's port range (see
+    // agent-ports.js) to find the ports it ended up on
+    api.get(WELL_KNOWN_PATH, (_req, res) => {
+      res.json({
+        agent: AGENT_NAME,
+        version: app.getVersion(),
+        httpPort: activePorts.http,
+        wsPort: activePorts.ws,
+        httpsPort: activePorts.https || null,
+        wssPort: activePorts.wss || null,
+        caCertificate: CA_CERTIFICATE_PATH,
+        pairing: '/pair'
+      });
+    });
+
+    // The local CA to trust for the HTTPS and WSS listeners (see local-tls.js);
+    // it is a public certificate, so no pairing is needed
+    api.get(CA_CERTIFICATE_PATH, (_req, res) => {
+      try {
+        res.set('Content-Disposition', 'attachment; filename="prosystem-print-agent-ca.crt"');
+        res.type('application/x-x509-ca-cert').send(getCaCertificate(app.getPath('userData')));
+      } catch (error) {
+        console.error('Could not read the local CA:', error);
+        res.status(500).json({ error: 'Certificate unavailable', message: error.message });
+      }
+    });
+
+    // Pairing: { name? } → 202 { pairingId, code, expiresAt }; the cashier
+    // approves the code in the status window (see client-pairing.js)
+    api.post('/pair', (req, res) => {
+      const request = clientPairing.requestPairing(req.headers.origin || null, req.body?.name);
+      if (!request) {
+        return res.status(429).json({ error: 'Too many pairing requests', message: 'Wait for the pending requests to be answered' });
+      }
+      res.status(202).json({ pairingId: request.id, code: request.code, expiresAt: new Date(request.expiresAt).toISOString() });
+    });
+
+    // { status: 'pending' | 'approved' | 'denied', token? }; the token is only sent once
+    api.get('/pair/:id', (req, res) => {
+      const result = clientPairing.getPairingResult(req.params.id, req.headers.origin || null);
+      if (!result) {
+        return res.status(404).json({ error: 'Unknown pairing request', message: 'The request expired or was already answered' });
+      }
+      res.json(result);
+    });
+
+    // Add graceful shutdown endpoint, for the single-instance handoff only:
+    // the new instance proves it is this agent with the install's secret
+    api.post('/shutdown', (req, res) => {
+      if (!isAgentSecret(req.headers[AGENT_SECRET_HEADER], app.getPath('userData'))) {
+        return res.status(403).json({ error: 'Forbidden', message: 'Only the print agent itself can shut it down' });
+      }
+
       console.log('Received shutdown request from new instance');
       res.sendStatus(200);
 
@@ -1009,6 +1646,8 @@ async function startApi(webContents) {
         if (wss) {
           wss.close();
         }
+        httpsServer?.close();
+        secureSocketServer?.close();
         if (httpServer) {
           httpServer.close(() => {
             console.log('HTTP server closed');
@@ -1020,21 +1659,24 @@ async function startApi(webContents) {
       }, 500);
     });
 
-    wss = new WebSocket.Server({ port: 21322 });
+    api.use(requirePairedClient);
+
+    wss = new WebSocket.Server({ port: activePorts.ws, verifyClient: verifySocketClient });
 
   // Track heartbeat interval to prevent memory leak
   let heartbeatInterval = null;
 
-  wss.on('connection', async socket => {
+  wss.on('connection', async (socket, req) => {
     console.log('🔌 WebSocket client connected.');
     socket.isAlive = true;
+    socket.clientId = req.clientId;
 
     socket.on('pong', () => { socket.isAlive = true; });
     socket.on('close', () => console.log('❌ WebSocket client disconnected'));
+    socket.on('message', raw => handleSocketMessage(socket, raw));
 
     try {
-      const rawPrinters = await globalWebContents.getPrintersAsync();
-      const printers = formatPrinterList(rawPrinters);
+      const printers = await listAllPrinters();
       socket.send(JSON.stringify({ type: 'printer-status', printers }));
     } catch (e) {
       socket.send(JSON.stringify({ type: 'printer-status', printers: [] }));
@@ -1066,284 +1708,276 @@ async function startApi(webContents) {
 
   api.get('/list-printers', async (_req, res) => {
     try {
-      const rawPrinters = await webContents.getPrintersAsync();
-      const printers = formatPrinterList(rawPrinters);
-      res.json(printers);
+      res.json(await listAllPrinters(webContents));
     } catch (e) {
       res.status(500).json({ error: 'Failed to list printers' });
     }
   });
 
-  api.post('/print', async (req, res) => {
-    let win = null;
-    let jobKey = null;
-    let callbackCalled = false;
+  // Network (TCP 9100) printers without an OS driver; see network-printer.js
+  api.get('/network-printers', (_req, res) => {
+    const stored = loadNetworkPrinters();
+    res.json(Object.keys(stored).map(name => ({ name, ...stored[name] })));
+  });
 
+  // Scans the local subnet(s) for printers to add; takes a few seconds
+  api.get('/network-printers/discover', async (_req, res) => {
     try {
-      const { printer, html, widthMM, heightMM } = req.body;
+      res.json(await discoverNetworkPrinters());
+    } catch (e) {
+      console.error('Printer discovery failed:', e);
+      res.status(500).json({ error: 'Printer discovery failed', message: e.message });
+    }
+  });
 
-      // Validate printer is available
-      if (!printer || !printer.name) {
-        return res.status(400).json({
-          error: 'Invalid printer configuration',
-          message: 'Printer information is missing or invalid'
-        });
+  api.put('/network-printers/:name', async (req, res) => {
+    try {
+      const result = await saveNetworkPrinter(req.params.name, req.body, webContents);
+      if (result.error) {
+        return res.status(400).json(result);
       }
+      res.json(result.printer);
+    } catch (e) {
+      console.error('Failed to save network printer:', e);
+      res.status(500).json({ error: 'Failed to save network printer', message: e.message });
+    }
+  });
 
-      // Create a unique key for this print job (for logging purposes)
-      jobKey = `${printer.name}-${Date.now()}`;
-      console.log(`Starting print job: ${jobKey}`);
-
-      // Detect if this is a PDF/virtual printer (shows save dialog)
-      const pdfPrinterNames = [
-        'Microsoft Print to PDF',
-        'Microsoft XPS Document Writer',
-        'Adobe PDF',
-        'CutePDF Writer',
-        'PDFCreator',
-        'Foxit Reader PDF Printer',
-        'Bullzip PDF Printer',
-        'OneNote',
-        'Fax'
-      ];
-      const isPdfPrinter = pdfPrinterNames.some(name =>
-        printer.name.toLowerCase().includes(name.toLowerCase())
-      );
+  api.delete('/network-printers/:name', async (req, res) => {
+    const stored = loadNetworkPrinters();
+    if (!Object.hasOwn(stored, req.params.name)) {
+      return res.status(404).json({ error: 'Unknown network printer' });
+    }
 
-      // PDF printers need longer timeout (user needs to choose save location)
-      // Physical printers get 30 seconds, PDF printers get 5 minutes
-      const timeoutDuration = isPdfPrinter ? 300000 : 30000;
-      const timeoutMessage = isPdfPrinter
-        ? 'Print operation timed out after 5 minutes (PDF printer dialog)'
-        : 'Print operation timed out after 30 seconds';
+    try {
+      delete stored[req.params.name];
+      writeJsonFile(networkPrintersPath(), stored);
+      broadcastPrinterStatus(await listAllPrinters(webContents));
+      res.sendStatus(204);
+    } catch (e) {
+      console.error('Failed to delete network printer:', e);
+      res.status(500).json({ error: 'Failed to delete network printer', message: e.message });
+    }
+  });
 
-      console.log(`Printer type: ${isPdfPrinter ? 'PDF/Virtual' : 'Physical'}, timeout: ${timeoutDuration/1000}s`);
+  // Per-printer defaults for print requests; see printer-profile.js
+  api.get('/printer-profiles', (_req, res) => {
+    const stored = loadPrinterProfiles();
+    res.json(Object.keys(stored).map(id => ({ id, ...stored[id] })));
+  });
 
-      win = new BrowserWindow({ show: false });
+  api.get('/printer-profiles/:id', (req, res) => {
+    const profile = getPrinterProfile(req.params.id);
+    if (!profile) {
+      return res.status(404).json({ error: 'Unknown printer profile' });
+    }
+    res.json({ id: req.params.id, ...profile });
+  });
 
-      await win.loadURL('data:text/html;charset=utf-8,' + encodeURIComponent(html));
+  api.put('/printer-profiles/:id', (req, res) => {
+    try {
+      const result = savePrinterProfile(req.params.id, req.body);
+      if (result.error) {
+        return res.status(400).json(result);
+      }
+      res.json(result.profile);
+    } catch (e) {
+      console.error('Failed to save printer profile:', e);
+      res.status(500).json({ error: 'Failed to save printer profile', message: e.message });
+    }
+  });
 
-      // Wrap the print callback in a Promise for better error handling
-      await new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          if (!callbackCalled) {
-            callbackCalled = true;
-            reject(new Error(timeoutMessage));
-          }
-        }, timeoutDuration);
-
-        win.webContents.print(
-          {
-            silent: true,
-            deviceName: printer.name,
-            margins: { marginType: 'none' },
-            pageSize: {
-              width: Math.round(widthMM * 1000),
-              height: Math.round(heightMM * 1000)
-            }
-          },
-          (success, failure) => {
-            // Prevent multiple callback invocations
-            if (callbackCalled) {
-              console.warn('Print callback called multiple times, ignoring');
-              return;
-            }
-            callbackCalled = true;
-            clearTimeout(timeout);
-
-            if (!success) {
-              // Log the actual failure message to understand what's happening
-              console.log('Print not successful. Success:', success, 'Failure:', failure);
-
-              // Treat all print failures as "success" to avoid error toasts
-              // The user will see the result in the system print dialog
-              // Common scenarios: user cancelled, printer offline, etc.
-              console.log('Print operation completed (may have been cancelled by user)');
-              resolve();
-            } else {
-              console.log('✔️ job queued');
-              resolve();
-            }
-          }
-        );
-      });
+  api.delete('/printer-profiles/:id', (req, res) => {
+    const stored = loadPrinterProfiles();
+    if (!Object.hasOwn(stored, req.params.id)) {
+      return res.status(404).json({ error: 'Unknown printer profile' });
+    }
 
+    try {
+      delete stored[req.params.id];
+      writeJsonFile(printerProfilesPath(), stored);
       res.sendStatus(204);
-
     } catch (e) {
-      console.error('Print API error:', e);
-
-      // Return a user-friendly error message
-      const errorMessage = e.message || 'Unknown print error occurred';
-      res.status(500).json({
-        error: 'Print operation failed',
-        message: errorMessage,
-        details: 'Please check if the printer is available and connected'
-      });
-    } finally {
-      // Always clean up resources
-      if (win && !win.isDestroyed()) {
-        try {
-          win.destroy();
-        } catch (destroyError) {
-          console.error('Error destroying window:', destroyError);
-        }
-      }
-
-      if (jobKey) {
-        console.log(`Finished print job: ${jobKey}`);
-      }
+      console.error('Failed to delete printer profile:', e);
+      res.status(500).json({ error: 'Failed to delete printer profile', message: e.message });
     }
   });
 
+  // Named destinations print requests can use as `role` instead of printer.name
+  api.get('/printer-roles', (_req, res) => {
+    const stored = loadPrinterRoles();
+    res.json(Object.keys(stored).map(name => ({ name, ...stored[name] })));
+  });
 
-  /**
- * Thermal receipt printing endpoint using ESC/POS commands
- *
- * Architecture:
- * 1. Generate ESC/POS commands using node-thermal-printer
- * 2. Get buffer without executing
- * 3. Development: Send to TCP emulator (ZplEscPrinter on port 8100)
- * 4. Production: Use printer.printDirect with RAW type to send to Windows printer name
- */
-  api.post('/print-thermal', async (req, res) => {
-    let jobKey = null;
-    let printerInfo = null;
+  api.get('/printer-roles/:role', (req, res) => {
+    const role = getPrinterRole(req.params.role);
+    if (!role) {
+      return res.status(404).json({ error: 'Unknown printer role' });
+    }
+    res.json({ name: req.params.role, ...role });
+  });
 
+  api.put('/printer-roles/:role', (req, res) => {
     try {
-      // Extract printerInfo at a higher scope so it's accessible in finally block
-      printerInfo = req.body.printer;
-      const { data, totals, widthMM } = req.body;
-
-      // Validate required fields
-      if (!printerInfo || !data || !totals || !widthMM) {
-        return res.status(400).json({
-          error: 'Missing required fields: printer, data, totals, widthMM'
-        });
+      const result = savePrinterRole(req.params.role, req.body);
+      if (result.error) {
+        return res.status(400).json(result);
       }
+      res.json(result.role);
+    } catch (e) {
+      console.error('Failed to save printer role:', e);
+      res.status(500).json({ error: 'Failed to save printer role', message: e.message });
+    }
+  });
 
-      // Create a unique key for this print job (for logging purposes)
-      jobKey = `${printerInfo.name}-${Date.now()}`;
-
-      // Calculate optimal character width
-      const charWidth = getOptimalCharacterWidth(widthMM);
-      console.log(`Thermal print request for printer: ${printerInfo.name}`);
-      console.log(`Paper: ${widthMM}mm → ${charWidth} characters per line`);
-
-      const isDevelopment = process.env.NODE_ENV === 'development';
-
-      // Step 1: Generate ESC/POS commands using node-thermal-printer
-      // We use a dummy TCP interface - we just want to build the command buffer
-      const thermalPrinter = new ThermalPrinter({
-        type: PrinterTypes.EPSON, // Compatible with ESC/POS printers (Epson, Rongta, etc.)
-        interface: 'tcp://localhost',  // Dummy interface - won't be used
-        width: charWidth, // Optimal character count based on paper width
-        characterSet: 'PC437_USA',
-        removeSpecialCharacters: false,
-        lineCharacter: '-',
-      });
+  api.delete('/printer-roles/:role', (req, res) => {
+    const stored = loadPrinterRoles();
+    if (!Object.hasOwn(stored, req.params.role)) {
+      return res.status(404).json({ error: 'Unknown printer role' });
+    }
 
-      // Build the receipt (generates ESC/POS commands in buffer)
-      await buildThermalReceipt(thermalPrinter, data, totals);
-
-      // Step 2: Get the buffer WITHOUT executing (don't send to network yet)
-      const buffer = await thermalPrinter.getBuffer();
-
-      // Step 3: Send buffer to printer based on environment
-      if (isDevelopment) {
-        // Development: Send to TCP emulator (ZplEscPrinter on port 8100)
-        console.log('Development mode: Sending to TCP emulator at 127.0.0.1:8100');
-
-        await new Promise((resolve, reject) => {
-          const timeout = setTimeout(() => {
-            reject(new Error('TCP connection timed out after 10 seconds'));
-          }, 10000);
-
-          try {
-            const socket = net.connect(8100, '127.0.0.1');
-
-            socket.on('connect', () => {
-              clearTimeout(timeout);
-              try {
-                socket.write(buffer);
-                socket.end();
-                console.log('✔️ Thermal receipt sent to emulator successfully');
-              } catch (writeError) {
-                reject(new Error(`Failed to write to emulator: ${writeError.message}`));
-              }
-            });
-
-            socket.on('error', (err) => {
-              clearTimeout(timeout);
-              console.error('TCP connection error:', err);
-              socket.destroy();
-              reject(new Error(`Failed to connect to emulator: ${err.message}`));
-            });
-
-            socket.on('close', () => {
-              clearTimeout(timeout);
-              resolve();
-            });
-          } catch (err) {
-            // Clear timeout if net.connect throws synchronously
-            clearTimeout(timeout);
-            reject(new Error(`Failed to create TCP connection: ${err.message}`));
-          }
-        });
-      } else {
-        // Production: Use printer.printDirect with RAW type
-        console.log(`Production mode: Sending to printer "${printerInfo.name}" using RAW print`);
-
-        await new Promise((resolve, reject) => {
-          const timeout = setTimeout(() => {
-            reject(new Error('Print operation timed out after 30 seconds'));
-          }, 30000);
-
-          try {
-            printer.printDirect({
-              data: buffer,
-              printer: printerInfo.name,  // Windows printer name!
-              type: 'RAW',  // This is the key - sends raw ESC/POS bytes
-              success: (jobID) => {
-                clearTimeout(timeout);
-                console.log(`✔️ Thermal receipt sent to printer successfully. Job ID: ${jobID}`);
-                resolve(jobID);
-              },
-              error: (err) => {
-                clearTimeout(timeout);
-                console.error('Thermal print error:', err);
-                reject(new Error(`Print failed: ${err}`));
-              }
-            });
-          } catch (err) {
-            clearTimeout(timeout);
-            console.error('printDirect threw exception:', err);
-            reject(new Error(`Failed to initialize print: ${err.message}`));
-          }
-        });
-      }
+    try {
+      delete stored[req.params.role];
+      writeJsonFile(printerRolesPath(), stored);
+      res.sendStatus(204);
+    } catch (e) {
+      console.error('Failed to delete printer role:', e);
+      res.status(500).json({ error: 'Failed to delete printer role', message: e.message });
+    }
+  });
 
-      return res.sendStatus(204);
+  api.get('/jobs', (req, res) => {
+    const { status, printer: printerName } = req.query;
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    res.json(printQueue.listJobs({ status, printer: printerName, limit }));
+  });
 
-    } catch (error) {
-      console.error('Thermal print error:', error);
-
-      // Return a user-friendly error message
-      const errorMessage = error.message || 'Unknown thermal print error occurred';
-      return res.status(500).json({
-        error: 'Thermal print operation failed',
-        message: errorMessage,
-        details: 'Please check if the printer is available, connected, and supports thermal printing'
+  api.get('/jobs/:id', (req, res) => {
+    const job = printQueue.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  });
+
+  api.get('/receipt-templates', (_req, res) => {
+    const stored = loadStoredReceiptTemplates();
+    res.json([
+      { name: DEFAULT_RECEIPT_TEMPLATE.name, description: DEFAULT_RECEIPT_TEMPLATE.description, builtIn: true },
+      ...Object.keys(stored).map(name => ({ name, description: stored[name].description || '', builtIn: false }))
+    ]);
+  });
+
+  api.get('/receipt-templates/:name', (req, res) => {
+    const { template, invalid } = resolveReceiptTemplate({ templateName: req.params.name });
+    if (invalid) {
+      return res.status(404).json(invalid);
+    }
+    res.json(template);
+  });
+
+  api.put('/receipt-templates/:name', (req, res) => {
+    const { name } = req.params;
+    if (name === DEFAULT_RECEIPT_TEMPLATE.name) {
+      return res.status(400).json({
+        error: 'Reserved template name',
+        message: `"${name}" is the built-in template; save yours under another name`
       });
-    } finally {
-      if (jobKey) {
-        console.log(`Finished thermal print job: ${jobKey}`);
-      }
     }
+
+    const problem = validateStoreKey(name) || validateReceiptTemplate(req.body);
+    if (problem) {
+      return res.status(400).json({ error: 'Invalid receipt template', message: problem });
+    }
+
+    try {
+      const stored = loadStoredReceiptTemplates();
+      stored[name] = { ...req.body, name };
+      writeJsonFile(receiptTemplatesPath(), stored);
+      console.log(`Saved receipt template "${name}"`);
+      res.json(stored[name]);
+    } catch (e) {
+      console.error('Failed to save receipt template:', e);
+      res.status(500).json({ error: 'Failed to save receipt template', message: e.message });
+    }
+  });
+
+  api.delete('/receipt-templates/:name', (req, res) => {
+    const stored = loadStoredReceiptTemplates();
+    if (!Object.hasOwn(stored, req.params.name)) {
+      return res.status(404).json({ error: 'Unknown receipt template' });
+    }
+
+    try {
+      delete stored[req.params.name];
+      writeJsonFile(receiptTemplatesPath(), stored);
+      res.sendStatus(204);
+    } catch (e) {
+      console.error('Failed to delete receipt template:', e);
+      res.status(500).json({ error: 'Failed to delete receipt template', message: e.message });
+    }
+  });
+
+  // Every print route, and /preview-thermal, takes `role` in place of printer.name
+  api.post('/print', (req, res) => handlePrintRequest('html', req, res));
+
+  // Thermal receipt printing using ESC/POS commands (see printThermalJob).
+  // mode: 'raster' prints the receipt, or `html` when given, as one image at `dpi`
+  api.post('/print-thermal', (req, res) => handlePrintRequest('thermal', req, res));
+
+  // Receipt preview without paper: the /print-thermal body, ?format=text (default) or png
+  api.post('/preview-thermal', handleThermalPreview);
+
+  // Generic ESC/POS document: { printer, widthMM, codePage?, commands: [{ type, ... }] }
+  // (see escpos-document.js for the command list)
+  api.post('/print-escpos', (req, res) => handlePrintRequest('escpos', req, res));
+
+  // Pre-built ESC/POS, ZPL or TSPL: { printer, language, data: base64 }
+  api.post('/print-raw', (req, res) => handlePrintRequest('raw', req, res));
+
+  // Native barcode labels: { printer, label, language?: 'zpl' | 'tspl' } (see label-definition.js)
+  api.post('/print-label', (req, res) => handlePrintRequest('label', req, res));
+
+  // Kitchen order split into one ticket per station: { order, categories?, stations? }
+  // (see queueKitchenOrder and kitchen-ticket.js)
+  api.post('/print-kitchen-order', handleKitchenOrderRequest);
+
+  // No-sale cash drawer open: { printer, pin?: 2 | 5, reason?, user? }
+  api.post('/open-drawer', (req, res) => handlePrintRequest('drawer', req, res));
+
+  // Cash drawer openings, newest first
+  api.get('/drawer-log', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 100;
+    res.json(readJsonFile(drawerLogPath(), []).reverse().slice(0, limit));
+  });
+
+  // Jobs received by the development emulator, newest first
+  api.get('/emulator/jobs', (_req, res) => {
+    if (!escPosEmulator?.isRunning) {
+      return res.status(404).json(EMULATOR_NOT_RUNNING);
+    }
+    res.json(escPosEmulator.listJobs());
+  });
+
+  api.get('/emulator/jobs/:id', (req, res) => {
+    const job = escPosEmulator?.isRunning ? escPosEmulator.getJob(req.params.id) : null;
+    if (!job) {
+      return res.status(404).json(escPosEmulator?.isRunning ? { error: 'Job not found' } : EMULATOR_NOT_RUNNING);
+    }
+    res.json(job);
   });
 
-  httpServer = api.listen(21321, '127.0.0.1', () => {
-    console.log('▶ Print agent API at http://127.0.0.1:21321');
+  api.delete('/emulator/jobs', (_req, res) => {
+    if (!escPosEmulator?.isRunning) {
+      return res.status(404).json(EMULATOR_NOT_RUNNING);
+    }
+    escPosEmulator.clear();
+    res.sendStatus(204);
+  });
+
+  httpServer = api.listen(activePorts.http, '127.0.0.1', () => {
+    console.log(`▶ Print agent API at http://127.0.0.1:${activePorts.http} (WebSocket ${activePorts.ws})`);
+    if (activePorts.https) startTlsListeners(api);
     console.log('✓ All services started successfully');
     apiStartupAttempts = 0; // Reset on success
   });
@@ -1351,7 +1985,7 @@ async function startApi(webContents) {
   httpServer.on('error', (err) => {
     console.error('HTTP server error:', err);
     if (err.code === 'EADDRINUSE') {
-      console.log('Port 21321 still in use despite checks. Retrying...');
+      console.log(`Port ${activePorts.http} still in use despite checks. Retrying...`);
       apiStartupAttempts++;
       if (apiStartupAttempts < MAX_STARTUP_ATTEMPTS) {
         setTimeout(() => startApi(webContents), 3000);
@@ -1376,9 +2010,214 @@ async function startApi(webContents) {
   }
 }
 
+/**
+ * Shared HTTP handler for the print routes: validates, queues and responds.
+ *
+ * @param {string} kind Key of PRINT_REQUESTS.
+ */
+async function handlePrintRequest(kind, req, res) {
+  const { failure } = PRINT_REQUESTS[kind];
+
+  try {
+    const { job, invalid } = await queuePrintRequest(kind, req.body);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+
+    await respondWithJob(req, res, job, failure);
+  } catch (error) {
+    console.error(`${failure.error}:`, error);
+
+    // Return a user-friendly error message
+    res.status(500).json({
+      error: failure.error,
+      message: error.message || 'Unknown print error occurred',
+      details: failure.details
+    });
+  }
+}
+
+/**
+ * HTTP handler for /print-kitchen-order. Responds like the other print
+ * routes, with the station and job of every ticket under `tickets`.
+ */
+async function handleKitchenOrderRequest(req, res) {
+  const { failure } = PRINT_REQUESTS.kitchen;
+
+  try {
+    const { tickets, invalid } = await queueKitchenOrder(req.body);
+    if (invalid) {
+      return res.status(400).json(invalid);
+    }
+    if (req.body.wait === false) {
+      return res.status(202).json({ tickets });
+    }
+
+    const finished = await Promise.all(tickets.map(async ({ station, job }) => ({ station, job: await printQueue.waitFor(job.id) })));
+    const failed = finished.filter(({ job }) => job.status !== JOB_STATUS.DONE);
+    if (failed.length === 0) {
+      return res.json({ tickets: finished });
+    }
+
+    res.status(500).json({
+      error: failure.error,
+      message: failed.map(({ station, job }) => `${station}: ${job.error}`).join('; '),
+      details: failure.details,
+      tickets: finished
+    });
+  } catch (error) {
+    console.error(`${failure.error}:`, error);
+    res.status(500).json({
+      error: failure.error,
+      message: error.message || 'Unknown print error occurred',
+      details: failure.details
+    });
+  }
+}
+
+const PREVIEW_FORMATS = ['text', 'png'];
+
+const EMULATOR_NOT_RUNNING = {
+  error: 'Emulator not running',
+  message: 'The ESC/POS emulator runs in development only (NODE_ENV=development)'
+};
+
+/**
+ * Builds a thermal receipt exactly as printThermalJob would and answers with
+ * the ESC/POS buffer read back as plain text or rendered to a PNG, so the web
+ * app can show the receipt before printing. Nothing is queued or printed.
+ */
+async function handleThermalPreview(req, res) {
+  const format = req.query.format || 'text';
+  if (!PREVIEW_FORMATS.includes(format)) {
+    return res.status(400).json({ error: 'Invalid format', message: `format must be one of: ${PREVIEW_FORMATS.join(', ')}` });
+  }
+
+  try {
+    // Resolved like a print request: role, then profile, then validation
+    const prepared = await preparePrintRequest('thermal', req.body);
+    if (prepared.invalid) {
+      return res.status(400).json(prepared.invalid);
+    }
+
+    // One copy is enough to look at
+    const payload = { ...prepared.payload, copies: 1 };
+    const drawer = resolveReceiptDrawerKick(payload.printer, payload.data, payload.options);
+    const thermalPrinter = await buildThermalReceiptPrinter(payload, drawer);
+    const buffer = thermalPrinter.getBuffer();
+    const charWidth = thermalPrinter.config.width;
+    const printerConfig = thermalPrinter.printer.config;
+
+    if (format === 'text') {
+      return res.type('text/plain; charset=utf-8').send(await renderEscPosText(buffer, { charWidth, printerConfig }));
+    }
+
+    const dpi = payload.dpi || Number(payload.printer.dpi) || DEFAULT_DPI;
+    const widthDots = getPrintableWidthDots(payload.widthMM, dpi);
+    const html = await renderEscPosHtml(buffer, { charWidth, widthDots, dpi, printerConfig });
+    res.type('image/png').send(await renderHtmlToPng(html, widthDots, dpi));
+  } catch (error) {
+    console.error('Thermal preview failed:', error);
+    res.status(500).json({ error: 'Thermal preview failed', message: error.message || 'Unknown preview error occurred' });
+  }
+}
+
+/**
+ * Handles commands sent by a client over the WebSocket, so a browser tab can
+ * submit and track jobs on one connection:
+ *
+ *   { type: 'print', kind: 'html' | 'thermal' | 'escpos' | 'raw' | 'label' | 'drawer', requestId?, ...HTTP route body }
+ *     or kind 'kitchen' with one station's ticket: { printer, widthMM, station, order }
+ *     → { type: 'job-accepted', requestId, job }, then the job-* broadcasts
+ *   { type: 'get-job', requestId?, jobId }
+ *     → { type: 'job', requestId, job }
+ *
+ * Anything that cannot be handled is answered with
+ * { type: 'error', requestId, error, message }.
+ */
+async function handleSocketMessage(socket, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (e) {
+    return sendToSocket(socket, { type: 'error', error: 'Invalid message', message: 'Messages must be JSON' });
+  }
+
+  const { type, requestId } = message || {};
+  const replyError = (error, detail) => sendToSocket(socket, { type: 'error', requestId, error, message: detail });
+
+  try {
+    if (type === 'print') {
+      if (!PRINT_REQUESTS[message.kind]) {
+        return replyError('Unknown print kind', `Expected one of: ${Object.keys(PRINT_REQUESTS).join(', ')}`);
+      }
+
+      const { job, invalid } = await queuePrintRequest(message.kind, message);
+      if (invalid) {
+        return replyError(invalid.error, invalid.message);
+      }
+      return sendToSocket(socket, { type: 'job-accepted', requestId, job });
+    }
+
+    if (type === 'get-job') {
+      const job = printQueue.getJob(message.jobId);
+      if (!job) {
+        return replyError('Job not found', `No job with ID ${message.jobId}`);
+      }
+      return sendToSocket(socket, { type: 'job', requestId, job });
+    }
+
+    replyError('Unknown message type', `Unsupported message type: ${type}`);
+  } catch (error) {
+    console.error('WebSocket message error:', error);
+    replyError('Request failed', error.message);
+  }
+}
+
+function sendToSocket(socket, message) {
+  if (socket.readyState !== WebSocket.OPEN) return;
+  try {
+    socket.send(JSON.stringify(message));
+  } catch (e) { }
+}
+
+/**
+ * Responds to a print request with its queued job.
+ *
+ * By default the response waits for the job to finish, so existing callers
+ * still learn the outcome from the status code. Callers that send
+ * `wait: false` get 202 immediately and poll GET /jobs/:id instead.
+ *
+ * @param {object} failure Error body fields used when the job fails.
+ */
+async function respondWithJob(req, res, job, failure) {
+  if (req.body.wait === false) {
+    return res.status(202).json(job);
+  }
+
+  const finished = await printQueue.waitFor(job.id);
+  if (finished.status === JOB_STATUS.DONE) {
+    return res.json(finished);
+  }
+
+  return res.status(500).json({
+    error: failure.error,
+    code: finished.errorCode,
+    message: finished.error,
+    details: failure.details,
+    jobId: finished.id,
+    job: finished
+  });
+}
+
 function broadcastPrinterStatus(printerList) {
+  broadcast({ type: 'printer-status', printers: printerList });
+}
+
+/** Sends a message to every connected WebSocket client. */
+function broadcast(message) {
   if (!wss) return;
-  const payload = JSON.stringify({ type: 'printer-status', printers: printerList });
+  const payload = JSON.stringify(message);
   wss.clients.forEach(client => {
     if (client.readyState === WebSocket.OPEN) {
       try {
@@ -1389,7 +2228,7 @@ function broadcastPrinterStatus(printerList) {
 }
 
 function formatPrinterList(rawPrinters) {
-  const mmRegex = /([\d.]+)x([\d.]+)mm/i;
+  const mmRegex = /(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)mm/i;
 
   // List of known PDF/virtual printers
   const pdfPrinters = [
@@ -1423,9 +2262,48 @@ function formatPrinterList(rawPrinters) {
       heightMM,
       dpi: Number(p.options?.ppi || 203),
       type: isPdfPrinter ? 'pdf' : 'physical',
-      supportsThermal: !isPdfPrinter  // PDF printers don't support raw thermal commands
+      supportsThermal: !isPdfPrinter,  // PDF printers don't support raw thermal commands
+      ...osPrinterStatus(p)
     };
   });
 }
 
-module.exports = { startApi, broadcastPrinterStatus, formatPrinterList };
+function getClientPairing() {
+  return clientPairing;
+}
+
+/** The { http, ws } ports the API listens on; null until it has started. */
+function getActivePorts() {
+  return activePorts;
+}
+
+/** [{ port, owner }] for ports other applications kept from the agent at startup. */
+function getPortConflicts() {
+  return portConflicts;
+}
+
+/** Polls network printer status (see printer-status.js); emits 'change'. */
+function getPrinterStatusMonitor() {
+  return printerStatusMonitor;
+}
+
+/** The development ESC/POS emulator, or null when it is not running. */
+function getEscPosEmulator() {
+  return escPosEmulator?.isRunning ? escPosEmulator : null;
+}
+
+module.exports = {
+  startApi,
+  broadcastPrinterStatus,
+  formatPrinterList,
+  listAllPrinters,
+  saveNetworkPrinter,
+  discoverNetworkPrinters,
+  getPrinterProfile,
+  savePrinterProfile,
+  getClientPairing,
+  getActivePorts,
+  getPortConflicts,
+  getPrinterStatusMonitor,
+  getEscPosEmulator
+};
@@ -0,0 +1,236 @@
+const os = require('os');
+const net = require('net');
+
+/**
+ * Finds network printers on the local subnet(s) so they can be added with
+ * PUT /network-printers/:name:
+ *
+ *   1. TCP connect scan of every address for RAW (9100), LPD (515) and IPP (631)
+ *   2. mDNS browse for _pdl-datastream._tcp and _ipp._tcp services
+ *   3. ESC/POS status query (DLE EOT 1) to everything answering on 9100
+ *
+ * Only the local /24 around each interface address is scanned, even on wider
+ * networks, so a scan stays at a few seconds.
+ *
+ * Network printers are driven RAW, so only hosts with 9100 (or an announced
+ * _pdl-datastream port) open can be added; hosts answering on LPD or IPP
+ * alone are listed for information.
+ */
+
+const DISCOVERY_PORTS = [9100, 515, 631]; // RAW, LPD, IPP
+const RAW_PORT = 9100;
+const RAW_SERVICE = '_pdl-datastream._tcp.local';
+const MDNS_SERVICES = [RAW_SERVICE, '_ipp._tcp.local'];
+
+const PORT_TIMEOUT = 400;
+const PROBE_TIMEOUT = 1000;
+const MDNS_LISTEN_TIME = 2500;
+const MAX_PARALLEL_CONNECTIONS = 64;
+const MIN_PREFIX_LENGTH = 24;
+
+function ipToInt(ip) {
+  return ip.split('.').reduce((value, octet) => (value * 256) + Number(octet), 0);
+}
+
+function intToIp(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * IPv4 subnets of the machine's network interfaces, narrowed to /24.
+ *
+ * @returns {{cidr: string, address: string, hosts: string[]}[]}
+ */
+function localSubnets() {
+  const subnets = new Map();
+
+  Object.values(os.networkInterfaces()).flat().forEach(iface => {
+    if (!iface || iface.internal || iface.family !== 'IPv4' || !iface.netmask) return;
+
+    const maskBits = iface.netmask.split('.').reduce((bits, octet) => bits + Number(octet).toString(2).replace(/0/g, '').length, 0);
+    const prefix = Math.max(MIN_PREFIX_LENGTH, maskBits);
+    const size = 2 ** (32 - prefix);
+    const network = Math.floor(ipToInt(iface.address) / size) * size;
+    const cidr = `${intToIp(network)}/${prefix}`;
+    if (subnets.has(cidr) || size < 4) return;
+
+    const hosts = [];
+    for (let host = network + 1; host < network + size - 1; host++) {
+      if (intToIp(host) !== iface.address) hosts.push(intToIp(host));
+    }
+    subnets.set(cidr, { cidr, address: iface.address, hosts });
+  });
+
+  return [...subnets.values()];
+}
+
+/** Whether host:port accepts a TCP connection within `timeout` ms. */
+function isPortOpen(host, port, timeout = PORT_TIMEOUT) {
+  return new Promise(resolve => {
+    const socket = net.connect({ host, port });
+    const done = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.setTimeout(timeout, () => done(false));
+    socket.once('connect', () => done(true));
+    socket.once('error', () => done(false));
+  });
+}
+
+/** Runs async `tasks` with at most `limit` in flight. */
+async function runLimited(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  return results;
+}
+
+/** @returns {Promise<Map<string, number[]>>} Open printer ports by host. */
+async function scanPorts(hosts) {
+  const checks = hosts.flatMap(host => DISCOVERY_PORTS.map(port => ({ host, port })));
+  const results = await runLimited(checks.map(({ host, port }) => () => isPortOpen(host, port)), MAX_PARALLEL_CONNECTIONS);
+
+  const open = new Map();
+  checks.forEach(({ host, port }, i) => {
+    if (!results[i]) return;
+    if (!open.has(host)) open.set(host, []);
+    open.get(host).push(port);
+  });
+  return open;
+}
+
+/**
+ * Printers announcing themselves over mDNS (Bonjour).
+ *
+ * @returns {Promise<Map<string, {names: Set<string>, services: Set<string>, ports: Set<number>, rawPorts: Set<number>}>>}
+ *   By IPv4 address; rawPorts are the _pdl-datastream ones.
+ */
+function browseMdns(duration = MDNS_LISTEN_TIME) {
+  return new Promise(resolve => {
+    const found = new Map();
+    const instances = new Map(); // service instance name → service type
+    const services = new Map(); // instance name → { target, port }
+    const addresses = new Map(); // host name → IPv4
+
+    let mdns;
+    try {
+      mdns = require('multicast-dns')();
+    } catch (error) {
+      console.warn('mDNS discovery unavailable:', error.message);
+      resolve(found);
+      return;
+    }
+
+    mdns.on('error', (error) => console.warn('mDNS discovery error:', error.message));
+    mdns.on('response', (response) => {
+      [...(response.answers || []), ...(response.additionals || [])].forEach(record => {
+        if (record.type === 'PTR' && MDNS_SERVICES.includes(record.name)) instances.set(record.data, record.name);
+        if (record.type === 'SRV') services.set(record.name, record.data);
+        if (record.type === 'A') addresses.set(record.name, record.data);
+      });
+    });
+    mdns.query({ questions: MDNS_SERVICES.map(name => ({ name, type: 'PTR' })) });
+
+    setTimeout(() => {
+      mdns.destroy();
+
+      instances.forEach((service, instance) => {
+        const srv = services.get(instance);
+        const address = srv && addresses.get(srv.target);
+        if (!address) return;
+
+        if (!found.has(address)) found.set(address, { names: new Set(), services: new Set(), ports: new Set(), rawPorts: new Set() });
+        const entry = found.get(address);
+        entry.names.add(instance.slice(0, -(service.length + 1))); // "Kitchen._ipp._tcp.local" → "Kitchen"
+        entry.services.add(service.replace(/\.local$/, ''));
+        entry.ports.add(srv.port);
+        if (service === RAW_SERVICE) entry.rawPorts.add(srv.port);
+      });
+      resolve(found);
+    }, duration);
+  });
+}
+
+/**
+ * Sends DLE EOT 1 (transmit printer status) and checks the reply looks like
+ * an ESC/POS status byte: bits 1 and 4 set, bit 7 clear; bit 3 means offline.
+ *
+ * @returns {Promise<{escpos: boolean, online: boolean|null}>}
+ */
+function probeEscPos(host, port = RAW_PORT) {
+  return new Promise(resolve => {
+    const socket = net.connect({ host, port });
+    const done = (result) => {
+      socket.destroy();
+      resolve(result);
+    };
+
+    socket.setTimeout(PROBE_TIMEOUT, () => done({ escpos: false, online: null }));
+    socket.once('connect', () => socket.write(Buffer.from([0x10, 0x04, 0x01])));
+    socket.once('data', (data) => {
+      const status = data[0];
+      done((status & 0x93) === 0x12
+        ? { escpos: true, online: (status & 0x08) === 0 }
+        : { escpos: false, online: null });
+    });
+    socket.once('error', () => done({ escpos: false, online: null }));
+    // Hung up without answering; the timeout no longer fires once the socket is closed
+    socket.once('close', () => done({ escpos: false, online: null }));
+  });
+}
+
+/**
+ * Scans the local subnets for printers.
+ *
+ * @returns {Promise<{subnets: string[], printers: object[]}>} Candidates sorted
+ *   by address: { host, port, ports, names, services, escpos, online }, where
+ *   `port` is the one for RAW printing (9100 when open, else an announced
+ *   _pdl-datastream port), or null when the host only speaks LPD or IPP.
+ */
+async function discoverPrinters() {
+  const subnets = localSubnets();
+  const hosts = subnets.flatMap(subnet => subnet.hosts);
+  console.log(`Printer discovery: scanning ${hosts.length} address(es) in ${subnets.map(s => s.cidr).join(', ') || 'no subnet'}`);
+
+  const [openPorts, announced] = await Promise.all([scanPorts(hosts), browseMdns()]);
+
+  const candidates = new Map();
+  openPorts.forEach((ports, host) => {
+    candidates.set(host, { host, ports: new Set(ports), rawPorts: new Set(), names: new Set(), services: new Set() });
+  });
+  announced.forEach((entry, host) => {
+    const candidate = candidates.get(host) || { host, ports: new Set(), rawPorts: new Set(), names: new Set(), services: new Set() };
+    entry.ports.forEach(port => candidate.ports.add(port));
+    entry.rawPorts.forEach(port => candidate.rawPorts.add(port));
+    entry.names.forEach(name => candidate.names.add(name));
+    entry.services.forEach(service => candidate.services.add(service));
+    candidates.set(host, candidate);
+  });
+
+  const printers = await runLimited([...candidates.values()].map(candidate => async () => {
+    const ports = [...candidate.ports].sort((a, b) => a - b);
+    const rawPort = ports.includes(RAW_PORT) ? RAW_PORT : [...candidate.rawPorts].sort((a, b) => a - b)[0] ?? null;
+    const probe = rawPort !== null ? await probeEscPos(candidate.host, rawPort) : { escpos: false, online: null };
+    return {
+      host: candidate.host,
+      port: rawPort,
+      ports,
+      names: [...candidate.names],
+      services: [...candidate.services],
+      ...probe
+    };
+  }), MAX_PARALLEL_CONNECTIONS);
+
+  printers.sort((a, b) => ipToInt(a.host) - ipToInt(b.host));
+  console.log(`Printer discovery: found ${printers.length} candidate(s)`);
+  return { subnets: subnets.map(subnet => subnet.cidr), printers };
+}
+
+module.exports = { discoverPrinters, probeEscPos };
@@ -0,0 +1,93 @@
+const { CharacterSet } = require('node-thermal-printer');
+
+/**
+ * Per-printer settings kept by the agent, keyed by printer ID (the `id` from
+ * /list-printers, which requests pass as printer.name). Print requests fall
+ * back to them for anything they leave out:
+ *
+ *   {
+ *     widthMM?        Paper width
+ *     charsPerLine?   { fontA?, fontB? } instead of the guess from widthMM
+ *     codePage?       node-thermal-printer CharacterSet the printer is set to
+ *     cutter?         'full' | 'partial' | 'none'; cuts are replaced to suit
+ *     drawerPin?      2 | 5
+ *     logoThreshold?  Grey level (0-255) below which receipt logo pixels print
+ *     copies?         Copies of every receipt, document or label
+ *     language?       'escpos' | 'zpl' | 'tspl'
+ *   }
+ */
+
+const CUTTER_TYPES = ['full', 'partial', 'none'];
+const CODE_PAGES = Object.values(CharacterSet);
+const PROFILE_LANGUAGES = ['escpos', 'zpl', 'tspl'];
+const MAX_COPIES = 10;
+
+const PROFILE_KEYS = ['widthMM', 'charsPerLine', 'codePage', 'cutter', 'drawerPin', 'logoThreshold', 'copies', 'language'];
+
+const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * @returns {string|null} A description of the first problem, or null when valid.
+ */
+function validatePrinterProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return 'Printer profile must be an object';
+
+  const unknown = Object.keys(profile).find(key => !PROFILE_KEYS.includes(key));
+  if (unknown) return `Unknown profile setting "${unknown}"; expected: ${PROFILE_KEYS.join(', ')}`;
+
+  if (profile.widthMM !== undefined && !(Number(profile.widthMM) > 0)) {
+    return 'widthMM must be a positive number';
+  }
+  if (profile.charsPerLine !== undefined) {
+    if (!profile.charsPerLine || typeof profile.charsPerLine !== 'object') {
+      return 'charsPerLine must be an object with fontA and/or fontB';
+    }
+    for (const font of ['fontA', 'fontB']) {
+      const value = profile.charsPerLine[font];
+      if (value !== undefined && !isWholeNumber(value, 8, 128)) {
+        return `charsPerLine.${font} must be a whole number from 8 to 128`;
+      }
+    }
+  }
+  if (profile.codePage !== undefined && !CODE_PAGES.includes(profile.codePage)) {
+    return `codePage must be one of: ${CODE_PAGES.join(', ')}`;
+  }
+  if (profile.cutter !== undefined && !CUTTER_TYPES.includes(profile.cutter)) {
+    return `cutter must be one of: ${CUTTER_TYPES.join(', ')}`;
+  }
+  if (profile.drawerPin !== undefined && ![2, 5].includes(profile.drawerPin)) {
+    return 'drawerPin must be 2 or 5';
+  }
+  if (profile.logoThreshold !== undefined && !isWholeNumber(profile.logoThreshold, 0, 255)) {
+    return 'logoThreshold must be a whole number from 0 to 255';
+  }
+  if (profile.copies !== undefined && !isWholeNumber(profile.copies, 1, MAX_COPIES)) {
+    return `copies must be a whole number from 1 to ${MAX_COPIES}`;
+  }
+  if (profile.language !== undefined && !PROFILE_LANGUAGES.includes(profile.language)) {
+    return `language must be one of: ${PROFILE_LANGUAGES.join(', ')}`;
+  }
+  return null;
+}
+
+/** Stored form of a validated profile: only the settings that were given. */
+function normalizePrinterProfile(profile) {
+  const normalized = {};
+  PROFILE_KEYS.forEach(key => {
+    if (profile[key] !== undefined && profile[key] !== null) normalized[key] = profile[key];
+  });
+  if (normalized.widthMM !== undefined) normalized.widthMM = Number(normalized.widthMM);
+  if (normalized.charsPerLine) {
+    const { fontA, fontB } = normalized.charsPerLine;
+    normalized.charsPerLine = { ...(fontA !== undefined && { fontA }), ...(fontB !== undefined && { fontB }) };
+  }
+  return normalized;
+}
+
+module.exports = {
+  CUTTER_TYPES,
+  CODE_PAGES,
+  MAX_COPIES,
+  validatePrinterProfile,
+  normalizePrinterProfile
+};
@@ -0,0 +1,74 @@
+/**
+ * Printer roles: names the web app prints to (`receipt`, `kitchen-hot`,
+ * `barcode-label`, ...) instead of OS printer names, so moving a station to
+ * another printer is a change in the agent rather than in every request.
+ *
+ *   {
+ *     printer     Printer ID (the `id` from /list-printers)
+ *     fallback?   Printer used instead while `printer` is offline
+ *   }
+ */
+
+const ROLE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * @returns {string|null} A description of the problem, or null when valid.
+ */
+function validateRoleName(name) {
+  if (!ROLE_NAME_PATTERN.test(String(name))) {
+    return 'Role names are up to 64 lowercase letters, digits, hyphens and underscores';
+  }
+  return null;
+}
+
+/**
+ * @returns {string|null} A description of the first problem, or null when valid.
+ */
+function validatePrinterRole(role) {
+  if (!role || typeof role !== 'object' || Array.isArray(role)) return 'Printer role must be an object';
+
+  const unknown = Object.keys(role).find(key => key !== 'printer' && key !== 'fallback');
+  if (unknown) return `Unknown role setting "${unknown}"; expected: printer, fallback`;
+
+  if (typeof role.printer !== 'string' || !role.printer) {
+    return 'printer must be a printer ID';
+  }
+  if (role.fallback !== undefined && role.fallback !== null) {
+    if (typeof role.fallback !== 'string' || !role.fallback) return 'fallback must be a printer ID';
+    if (role.fallback === role.printer) return 'fallback must be a different printer';
+  }
+  return null;
+}
+
+/** Stored form of a validated role. */
+function normalizePrinterRole({ printer, fallback }) {
+  return fallback ? { printer, fallback } : { printer };
+}
+
+/**
+ * The printer a role prints to right now: its primary printer, unless that is
+ * missing or offline and the fallback is not. With both down the job still
+ * goes to the primary, which is where the user will look for it.
+ *
+ * @param {object} role Stored role.
+ * @param {object[]} printers Entries from listAllPrinters.
+ * @returns {{printerName: string, usedFallback: boolean}}
+ */
+function choosePrinterForRole(role, printers) {
+  const isAvailable = (printerName) => {
+    const entry = printers.find(p => p.id === printerName || p.name === printerName);
+    return Boolean(entry) && entry.online !== false;
+  };
+
+  if (role.fallback && !isAvailable(role.printer) && isAvailable(role.fallback)) {
+    return { printerName: role.fallback, usedFallback: true };
+  }
+  return { printerName: role.printer, usedFallback: false };
+}
+
+module.exports = {
+  validateRoleName,
+  validatePrinterRole,
+  normalizePrinterRole,
+  choosePrinterForRole
+};
@@ -0,0 +1,264 @@
+const { EventEmitter } = require('events');
+const net = require('net');
+
+/**
+ * Printer condition as reported in /list-printers, the WebSocket
+ * 'printer-status' message and the tray:
+ *
+ *   { online, paperLow, paperOut, coverOpen, error }
+ *
+ * Each field is true/false, or null when the printer can't tell us. OS
+ * printers are read from the spooler (which knows more with a bidirectional
+ * driver); network printers are polled with ESC/POS status queries.
+ */
+
+// Windows PRINTER_STATUS_* flags
+const WIN_PRINTER_STATUS = {
+  ERROR: 0x00000002,
+  PAPER_JAM: 0x00000008,
+  PAPER_OUT: 0x00000010,
+  PAPER_PROBLEM: 0x00000040,
+  OFFLINE: 0x00000080,
+  NOT_AVAILABLE: 0x00001000,
+  USER_INTERVENTION: 0x00100000,
+  DOOR_OPEN: 0x00400000,
+  SERVER_UNKNOWN: 0x00800000
+};
+
+// Flags that mean the printer cannot take a job
+const WIN_PRINTER_OFFLINE_FLAGS = WIN_PRINTER_STATUS.OFFLINE
+  | WIN_PRINTER_STATUS.NOT_AVAILABLE
+  | WIN_PRINTER_STATUS.SERVER_UNKNOWN;
+// CUPS printer-state 5 = stopped
+const CUPS_PRINTER_STOPPED = 5;
+
+const STATUS_POLL_INTERVAL = 10000;
+const STATUS_QUERY_TIMEOUT = 2000;
+
+// DLE EOT 1 (printer), 2 (offline cause), 4 (paper sensor), then GS r 1
+// (paper sensor, for printers without DLE EOT 4)
+const STATUS_QUERIES = Buffer.from([0x10, 0x04, 0x01, 0x10, 0x04, 0x02, 0x10, 0x04, 0x04, 0x1d, 0x72, 0x01]);
+
+const UNKNOWN_PRINTER_STATUS = Object.freeze({ online: null, paperLow: null, paperOut: null, coverOpen: null, error: null });
+
+/**
+ * Whether the OS reports the printer as missing or offline.
+ *
+ * @param {object|undefined} info Entry from webContents.getPrintersAsync().
+ */
+function isPrinterOffline(info) {
+  if (!info) return true;
+
+  if (process.platform === 'win32') {
+    return (Number(info.status) & WIN_PRINTER_OFFLINE_FLAGS) !== 0;
+  }
+
+  const state = Number(info.options?.['printer-state'] ?? info.status);
+  return state === CUPS_PRINTER_STOPPED;
+}
+
+/**
+ * Status of an OS printer from its spooler flags.
+ *
+ * Windows has no paper-low flag; CUPS reports printer-state-reasons such as
+ * "media-empty-error" or "cover-open-warning".
+ *
+ * @param {object} info Entry from webContents.getPrintersAsync().
+ */
+function osPrinterStatus(info) {
+  const online = !isPrinterOffline(info);
+
+  if (process.platform === 'win32') {
+    const flags = Number(info.status) || 0;
+    return {
+      online,
+      paperLow: null,
+      paperOut: (flags & WIN_PRINTER_STATUS.PAPER_OUT) !== 0,
+      coverOpen: (flags & WIN_PRINTER_STATUS.DOOR_OPEN) !== 0,
+      error: (flags & (WIN_PRINTER_STATUS.ERROR | WIN_PRINTER_STATUS.PAPER_JAM
+        | WIN_PRINTER_STATUS.PAPER_PROBLEM | WIN_PRINTER_STATUS.USER_INTERVENTION)) !== 0
+    };
+  }
+
+  const reasons = String(info.options?.['printer-state-reasons'] || 'none')
+    .split(',')
+    .map(reason => reason.trim().replace(/-(error|warning|report)$/, ''));
+  return {
+    online: online && !reasons.includes('offline'),
+    paperLow: reasons.includes('media-low'),
+    paperOut: reasons.includes('media-empty') || reasons.includes('media-needed'),
+    coverOpen: reasons.includes('cover-open') || reasons.includes('door-open'),
+    error: reasons.includes('media-jam') || reasons.includes('other')
+  };
+}
+
+/**
+ * Reads the replies to STATUS_QUERIES.
+ *
+ * DLE EOT replies have bits 1 and 4 set and bits 0 and 7 clear; the GS r
+ * reply has bit 4 clear, which tells them apart when the printer skips one.
+ *
+ * @param {Buffer} reply
+ */
+function parseEscPosStatus(reply) {
+  const realtime = [...reply].filter(byte => (byte & 0x93) === 0x12);
+  const transmitted = [...reply].find(byte => (byte & 0x90) === 0x00);
+  const [printerStatus, offlineCause, paperSensor] = realtime;
+
+  if (printerStatus === undefined) {
+    // Reachable, but doesn't answer status queries (or not ESC/POS)
+    return { ...UNKNOWN_PRINTER_STATUS, online: true };
+  }
+
+  let paperLow = null;
+  let paperOut = null;
+  if (paperSensor !== undefined) {
+    paperLow = (paperSensor & 0x0c) !== 0;
+    paperOut = (paperSensor & 0x60) !== 0;
+  } else if (transmitted !== undefined) {
+    paperLow = (transmitted & 0x03) !== 0;
+    paperOut = (transmitted & 0x0c) !== 0;
+  }
+
+  return {
+    online: (printerStatus & 0x08) === 0,
+    paperLow,
+    paperOut: paperOut || (offlineCause !== undefined && (offlineCause & 0x20) !== 0),
+    coverOpen: offlineCause !== undefined ? (offlineCause & 0x04) !== 0 : null,
+    error: offlineCause !== undefined ? (offlineCause & 0x40) !== 0 : null
+  };
+}
+
+/**
+ * Asks a network printer for its status.
+ *
+ * @param {string} host
+ * @param {number} port
+ * @param {{escpos?: boolean}} [options] Without escpos, only checks the port accepts connections.
+ * @returns {Promise<object>} Status fields; never rejects.
+ */
+function queryNetworkPrinterStatus(host, port, { escpos = true } = {}) {
+  return new Promise(resolve => {
+    const socket = net.connect({ host, port });
+    const chunks = [];
+    let connected = false;
+    let settled = false;
+
+    const done = () => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (!connected) return resolve({ ...UNKNOWN_PRINTER_STATUS, online: false });
+      resolve(escpos ? parseEscPosStatus(Buffer.concat(chunks)) : { ...UNKNOWN_PRINTER_STATUS, online: true });
+    };
+
+    socket.setTimeout(STATUS_QUERY_TIMEOUT, done);
+    socket.once('connect', () => {
+      connected = true;
+      if (!escpos) return done();
+      socket.write(STATUS_QUERIES);
+    });
+    socket.on('data', (chunk) => {
+      chunks.push(chunk);
+      if (Buffer.concat(chunks).length >= 4) done();
+    });
+    socket.once('error', done);
+    socket.once('close', done);
+  });
+}
+
+/** Short description of what's wrong with a printer, or null when nothing is known to be. */
+function describePrinterProblem(status) {
+  if (status.online === false) return 'offline';
+  if (status.coverOpen) return 'cover open';
+  if (status.paperOut) return 'paper out';
+  if (status.error) return 'error';
+  if (status.paperLow) return 'paper low';
+  return null;
+}
+
+/**
+ * Polls network printers for their status every STATUS_POLL_INTERVAL.
+ *
+ * A printer that is printing is skipped: most only take one connection on
+ * their RAW port, and a query waiting behind a job would read as offline.
+ *
+ * Emits 'change' with (name, status) when a printer's status changes.
+ */
+class PrinterStatusMonitor extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function(): {name: string, host: string, port: number, language: string}[]} options.getPrinters
+   *   Printers to poll, read again on every round.
+   * @param {function(string): boolean} [options.isBusy] Whether a printer is printing right now.
+   */
+  constructor({ getPrinters, isBusy = () => false }) {
+    super();
+    this.getPrinters = getPrinters;
+    this.isBusy = isBusy;
+    this.statuses = new Map();
+    this.timer = null;
+    this.polling = false;
+    this.pollAgain = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), STATUS_POLL_INTERVAL);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /** Last known status of a printer; all null before the first answer. */
+  get(name) {
+    return this.statuses.get(name) || UNKNOWN_PRINTER_STATUS;
+  }
+
+  /** Polls every printer now; called during a poll, runs another round after it. */
+  async poll() {
+    if (this.polling) {
+      this.pollAgain = true;
+      return;
+    }
+    this.polling = true;
+
+    try {
+      const printers = this.getPrinters();
+      const names = new Set(printers.map(p => p.name));
+      [...this.statuses.keys()].forEach(name => {
+        if (!names.has(name)) this.statuses.delete(name);
+      });
+
+      await Promise.all(printers.filter(p => !this.isBusy(p.name)).map(async (p) => {
+        const status = await queryNetworkPrinterStatus(p.host, p.port, { escpos: p.language === 'escpos' });
+        const previous = this.statuses.get(p.name);
+        this.statuses.set(p.name, status);
+        if (!previous || Object.keys(status).some(key => status[key] !== previous[key])) {
+          this.emit('change', p.name, status);
+        }
+      }));
+    } catch (error) {
+      console.error('Printer status poll failed:', error.message);
+    } finally {
+      this.polling = false;
+    }
+
+    if (this.pollAgain) {
+      this.pollAgain = false;
+      await this.poll();
+    }
+  }
+}
+
+module.exports = {
+  isPrinterOffline,
+  osPrinterStatus,
+  parseEscPosStatus,
+  queryNetworkPrinterStatus,
+  describePrinterProblem,
+  PrinterStatusMonitor
+};
@@ -0,0 +1,136 @@
+const path = require('path');
+const iconv = require('iconv-lite');
+
+/**
+ * Text the printer's code page cannot encode (Bangla, or anything outside the
+ * configured character set) is shaped by pango through sharp with a bundled
+ * font and printed as a raster image. Everything else stays plain code-page
+ * text, which is much faster to send and print.
+ */
+
+const FONT_FAMILY = 'Noto Sans Bengali';
+// pango reads the files itself and cannot look inside app.asar; packaged
+// builds unpack fonts/ next to it (asarUnpack in package.json)
+const FONT_DIR = path.join(__dirname.replace(/app\.asar(?=[\\/]|$)/, 'app.asar.unpacked'), 'fonts');
+const FONT_FILES = {
+  regular: path.join(FONT_DIR, 'NotoSansBengali-Regular.ttf'),
+  bold: path.join(FONT_DIR, 'NotoSansBengali-Bold.ttf')
+};
+
+// ESC/POS font A is 12x24 dots, font B 9x17; raster text is sized to match
+const DOTS_PER_CHAR = 12;
+const FONT_PIXELS = { A: 22, B: 16 };
+const LINE_PADDING = 4;
+
+/**
+ * Whether the printer can print `text` in its configured code page.
+ *
+ * node-thermal-printer would silently switch code pages per character, but
+ * most receipt printers only ship a few of them, so anything outside the
+ * configured one is treated as unprintable.
+ */
+function canPrintAsText(printer, text) {
+  const value = String(text ?? '');
+  if (/^[\x00-\x7F]*$/.test(value)) return true;
+
+  const encoding = printer.printer.config.CODE_PAGES[printer.config.characterSet];
+  if (!encoding || !iconv.encodingExists(encoding)) return false;
+  return iconv.decode(iconv.encode(value, encoding), encoding) === value;
+}
+
+function escapeMarkup(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/** One text run rendered black on white; wraps inside `widthDots` if it is too long. */
+async function renderTextPiece(text, widthDots, { fontPixels, bold, align }) {
+  const sharp = require('sharp');
+  const markup = bold ? `<b>${escapeMarkup(text)}</b>` : escapeMarkup(text);
+
+  const { data, info } = await sharp({
+    text: {
+      text: markup,
+      font: `${FONT_FAMILY} ${fontPixels}`,
+      fontfile: bold ? FONT_FILES.bold : FONT_FILES.regular,
+      width: widthDots,
+      align: align === 'RIGHT' ? 'right' : align === 'CENTER' ? 'centre' : 'left',
+      wrap: 'word-char',
+      dpi: 72 // 1pt = 1px, so fontPixels is the size in printer dots
+    }
+  })
+    .negate({ alpha: false }) // pango draws white on black
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  return { input: data, width: info.width, height: info.height };
+}
+
+/**
+ * Prints one row of text as a raster image the full width of the paper.
+ *
+ * @param {ThermalPrinter} printer
+ * @param {{text: string, cols: number, align?: string, start?: number}[]} cells
+ *   Character columns as for tableCustom. `start` places a cell at a column
+ *   explicitly (cells may overlap, e.g. a left and a right column on one line);
+ *   otherwise cells follow one another.
+ * @param {{bold?: boolean, font?: string, size?: {height?: number}}} [style]
+ *   Current text style, so raster lines look like the code-page lines around them.
+ */
+async function printRasterRow(printer, cells, style = {}) {
+  const sharp = require('sharp');
+  const widthDots = printer.config.width * DOTS_PER_CHAR;
+  const fontPixels = (FONT_PIXELS[style.font] || FONT_PIXELS.A) * ((style.size && style.size.height) || 1);
+
+  let cursor = 0;
+  const pieces = [];
+  for (const cell of cells) {
+    const start = cell.start ?? cursor;
+    cursor = start + cell.cols;
+    if (!cell.text) continue;
+
+    const cellLeft = Math.min(start * DOTS_PER_CHAR, widthDots - 1);
+    const cellWidth = Math.max(1, Math.min(cell.cols * DOTS_PER_CHAR, widthDots - cellLeft));
+    const piece = await renderTextPiece(cell.text, cellWidth, { fontPixels, bold: style.bold, align: cell.align });
+    const free = Math.max(0, cellWidth - piece.width);
+    const offset = cell.align === 'RIGHT' ? free : cell.align === 'CENTER' ? Math.floor(free / 2) : 0;
+
+    pieces.push({ input: piece.input, left: cellLeft + offset, top: LINE_PADDING, width: piece.width, height: piece.height });
+  }
+  if (pieces.length === 0) {
+    printer.newLine();
+    return;
+  }
+
+  const height = Math.max(...pieces.map(piece => piece.height)) + LINE_PADDING * 2;
+  const image = await sharp({ create: { width: widthDots, height, channels: 3, background: '#FFFFFF' } })
+    .composite(pieces.map(({ input, left, top }) => ({ input, left, top })))
+    .threshold(128)
+    .png()
+    .toBuffer();
+
+  await printer.printImageBuffer(image);
+}
+
+/**
+ * println, falling back to a raster line for text the code page cannot print.
+ *
+ * @param {string} [align] 'left' | 'center' | 'right', for the raster fallback.
+ */
+async function printTextLine(printer, text, style = {}, align = style.align) {
+  if (canPrintAsText(printer, text)) {
+    printer.println(text);
+    return;
+  }
+  await printRasterRow(printer, [{ text, cols: printer.config.width, align: String(align || 'left').toUpperCase() }], style);
+}
+
+/** tableCustom, falling back to a raster row when any cell needs it. */
+async function printTableRow(printer, cells, style = {}) {
+  if (cells.every(cell => canPrintAsText(printer, cell.text))) {
+    printer.tableCustom(cells);
+    return;
+  }
+  await printRasterRow(printer, cells, style);
+}
+
+module.exports = { FONT_FAMILY, FONT_FILES, canPrintAsText, printRasterRow, printTextLine, printTableRow };
@@ -0,0 +1,359 @@
+/**
+ * Formats a date object or a valid date string into a DD/MM/YYYY string.
+ *
+ * @param {Date | string | null | undefined} date The date object or string to format.
+ * @returns {string} A string representing the date in DD/MM/YYYY format, or an empty string if the input is falsy.
+ * @example
+ * // returns "21/08/2025"
+ * formatDate('2025-08-21T05:57:15');
+ */
+const formatDate = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  const day = String(d.getDate()).padStart(2, '0');
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const year = String(d.getFullYear()).slice(-2);
+  return `${day}/${month}/${year}`;
+};
+
+/**
+ * Formats a date object or a valid date string into a 12-hour time string with AM/PM.
+ *
+ * @param {Date | string | null | undefined} time The date object or string to format for its time.
+ * @returns {string} A string representing the time (e.g., "5:57 AM"), or an empty string if the input is falsy.
+ * @example
+ * // returns "5:57 AM"
+ * formatTime('2025-08-21T05:57:15');
+ *
+ * @example
+ * // returns "1:30 PM"
+ * formatTime('2025-08-21T13:30:00');
+ */
+const formatTime = (time) => {
+  if (!time) return '';
+  const d = new Date(time);
+  let hours = d.getHours();
+  const minutes = String(d.getMinutes()).padStart(2, '0');
+  const period = hours >= 12 ? 'PM' : 'AM';
+  hours = hours % 12 || 12; // Convert to 12-hour format, handling midnight
+  return `${hours}:${minutes} ${period}`;
+};
+
+function CommaFormatted(amount) {
+  var delimiter = ","; // replace comma if desired
+  var a = amount.split('.', 2);
+  var d = a[1] || '';
+  var i = parseInt(a[0]);
+  if (isNaN(i)) { return ''; }
+  var minus = '';
+  if (i < 0) { minus = '-'; }
+  i = Math.abs(i);
+  var n = new String(i);
+  var a = [];
+  while (n.length > 3) {
+    var nn = n.substr(n.length - 3);
+    a.unshift(nn);
+    n = n.substr(0, n.length - 3);
+  }
+  if (n.length > 0) { a.unshift(n); }
+  n = a.join(delimiter);
+  if (d.length < 1) { amount = n; }
+  else { amount = n + '.' + d; }
+
+  // Remove .00 at the end of values
+  amount = amount.replace(/\.00$/, '');
+
+  amount = minus + amount;
+  return amount;
+}
+
+function CurrencyFormatted(amount, currency = 'BDT') {
+  var i = parseFloat(amount);
+  if (currency !== 'BDT') {
+    i = Math.round(i);
+  }
+  if (isNaN(i)) { i = 0.00; }
+  var minus = '';
+  if (i < 0) { minus = '-'; }
+  i = Math.abs(i);
+  i = parseInt((i + .005) * 100);
+  i = i / 100;
+  var s = new String(i);
+
+  // Remove .00 at the end of values
+  if (s.indexOf('.') >= 0) {
+    s = s.replace(/\.00$/, '');
+  }
+
+  s = minus + s;
+  return s;
+}
+
+function shouldHideReceiptItemSku(data) {
+  const displayName = String(data?.displayName || '').trim().toLowerCase();
+  return displayName.includes('skinn');
+}
+
+/** Parses a value into a finite number, or returns null when it is not usable. */
+function toFiniteNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const raw = typeof value === 'object' && typeof value.toString === 'function'
+    ? value.toString()
+    : value;
+
+  const parsed = typeof raw === 'number' ? raw : Number(raw);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/** Rounds to 2 decimals without the classic 1.005 float drift. */
+function roundCurrency(value) {
+  const parsed = toFiniteNumber(value);
+  if (parsed === null) return 0;
+  return Math.round((parsed + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Reads the cash tender snapshot the BMS persists under
+ * `sale.customFields.cashTendering` when a sale is finalized through the cash
+ * tender / change-due step.
+ *
+ * Presence of the record is the render gate: only tenants with the cash tender
+ * feature flag on ever write it, so this stays tenant-agnostic and the thermal
+ * receipt matches the browser receipt line for line.
+ *
+ * Mirrors getSaleCashTendering() in the BMS
+ * (features/sales/tenants/tahar-by-optimize/utils/cashTendering.js).
+ *
+ * @returns {{method: string, methodDetail: string|null, amountDue: number, tendered: number, changeDue: number}|null}
+ */
+function getSaleCashTendering(data) {
+  const record = data?.customFields?.cashTendering;
+  if (!record || typeof record !== 'object') return null;
+
+  const tendered = toFiniteNumber(record.tendered);
+  if (tendered === null) return null;
+
+  const amountDue = toFiniteNumber(record.amountDue);
+  const storedChange = toFiniteNumber(record.changeDue);
+  const dueAmount = amountDue === null ? tendered : amountDue;
+
+  return {
+    method: record.method ? String(record.method) : 'Cash',
+    methodDetail: record.methodDetail ? String(record.methodDetail) : null,
+    amountDue: roundCurrency(dueAmount),
+    tendered: roundCurrency(tendered),
+    changeDue: storedChange === null
+      ? roundCurrency(Math.max(0, roundCurrency(tendered) - roundCurrency(dueAmount)))
+      : roundCurrency(Math.max(0, storedChange)),
+  };
+}
+
+/**
+ * Pad string to the right with spaces
+ */
+function padRight(str, length) {
+  str = str.toString();
+  if (str.length >= length) return str.substring(0, length);
+  return str + ' '.repeat(length - str.length);
+}
+
+/**
+ * Pad string to the left with spaces
+ */
+function padLeft(str, length) {
+  str = str.toString();
+  if (str.length >= length) return str.substring(0, length);
+  return ' '.repeat(length - str.length) + str;
+}
+
+/**
+ * Create a two-column layout with exact character positioning
+ */
+function createTwoColumnLine(leftText, rightText, totalWidth) {
+  const leftStr = leftText.toString();
+  const rightStr = rightText.toString();
+
+  // Calculate spacing
+  const spaceNeeded = totalWidth - leftStr.length - rightStr.length;
+
+  if (spaceNeeded < 1) {
+    // Truncate left text if too long
+    const truncatedLeft = leftStr.substring(0, totalWidth - rightStr.length - 1);
+    return truncatedLeft + ' ' + rightStr;
+  }
+
+  return leftStr + ' '.repeat(spaceNeeded) + rightStr;
+}
+
+/**
+ * Build deterministic integer column widths for item table rows.
+ * Ensures all columns always sum to charWidth to avoid tableCustom rounding drift.
+ */
+function getItemTableColumns(charWidth) {
+  const targetWidth = Math.max(1, Math.floor(charWidth));
+  const minimums = {
+    sl: 2,
+    item: 10,
+    qty: 3,
+    rate: 6,
+    amount: 7
+  };
+  const ratios = {
+    sl: 0.07,
+    item: 0.45,
+    qty: 0.12,
+    rate: 0.16,
+    amount: 0.20
+  };
+
+  const cols = {
+    sl: Math.floor(targetWidth * ratios.sl),
+    item: Math.floor(targetWidth * ratios.item),
+    qty: Math.floor(targetWidth * ratios.qty),
+    rate: Math.floor(targetWidth * ratios.rate),
+    amount: Math.floor(targetWidth * ratios.amount)
+  };
+
+  // Enforce per-column minimums first.
+  cols.sl = Math.max(cols.sl, minimums.sl);
+  cols.item = Math.max(cols.item, minimums.item);
+  cols.qty = Math.max(cols.qty, minimums.qty);
+  cols.rate = Math.max(cols.rate, minimums.rate);
+  cols.amount = Math.max(cols.amount, minimums.amount);
+
+  // If we exceed line width, shrink less-critical columns first.
+  const shrinkOrder = ['amount', 'rate', 'qty', 'sl'];
+  let total = cols.sl + cols.item + cols.qty + cols.rate + cols.amount;
+  if (total > targetWidth) {
+    let overflow = total - targetWidth;
+    shrinkOrder.forEach((key) => {
+      if (overflow <= 0) return;
+      const reducible = cols[key] - minimums[key];
+      if (reducible <= 0) return;
+      const reduceBy = Math.min(reducible, overflow);
+      cols[key] -= reduceBy;
+      overflow -= reduceBy;
+    });
+
+    if (overflow > 0) {
+      const reducibleItem = cols.item - minimums.item;
+      const reduceBy = Math.min(reducibleItem, overflow);
+      cols.item -= reduceBy;
+      overflow -= reduceBy;
+    }
+  }
+
+  // Assign remaining slack to the item column.
+  total = cols.sl + cols.item + cols.qty + cols.rate + cols.amount;
+  if (total < targetWidth) {
+    cols.item += targetWidth - total;
+  }
+
+  return cols;
+}
+
+/**
+ * Characters per line in the current font. Font B has its own width only
+ * when the printer profile sets one; otherwise it wraps like Font A.
+ */
+function getLineWidth(printer, font = 'A') {
+  return (font === 'B' && printer.config.widthFontB) || printer.config.width;
+}
+
+/**
+ * Wrap text to fit within a specific character width
+ */
+function wrapText(text, maxWidth) {
+  if (text.length <= maxWidth) {
+    return [text];
+  }
+
+  const lines = [];
+  let remaining = text;
+
+  while (remaining.length > 0) {
+    if (remaining.length <= maxWidth) {
+      lines.push(remaining);
+      break;
+    }
+
+    // Try to break at a space before maxWidth
+    let breakPoint = maxWidth;
+    const lastSpace = remaining.substring(0, maxWidth).lastIndexOf(' ');
+
+    if (lastSpace > 0) {
+      breakPoint = lastSpace;
+    }
+
+    lines.push(remaining.substring(0, breakPoint).trim());
+    remaining = remaining.substring(breakPoint).trim();
+  }
+
+  return lines;
+}
+
+/**
+ * Convert basic HTML (React Quill output) into wrapped receipt lines
+ * Supports paragraphs, line breaks, and bullet lists.
+ */
+function htmlToReceiptLines(html, maxWidth) {
+  if (!html) return [];
+
+  let text = html;
+
+  // Normalize common block/line elements to newlines
+  text = text.replace(/<\s*br\s*\/?>/gi, '\n');
+  text = text.replace(/<\s*\/p\s*>/gi, '\n\n');
+  text = text.replace(/<\s*p[^>]*>/gi, '');
+  text = text.replace(/<\s*li[^>]*>/gi, '- ');
+  text = text.replace(/<\s*\/li\s*>/gi, '\n');
+  text = text.replace(/<\s*(ul|ol)[^>]*>/gi, '');
+  text = text.replace(/<\s*\/(ul|ol)\s*>/gi, '\n');
+
+  // Decode a few common entities
+  text = text.replace(/&nbsp;/gi, ' ');
+  text = text.replace(/&amp;/gi, '&');
+  text = text.replace(/&lt;/gi, '<');
+  text = text.replace(/&gt;/gi, '>');
+  text = text.replace(/&#39;/gi, "'");
+  text = text.replace(/&quot;/gi, '"');
+
+  // Strip remaining tags
+  text = text.replace(/<[^>]+>/g, '');
+
+  // Clean whitespace
+  text = text.replace(/\r\n/g, '\n');
+  text = text.replace(/\n{3,}/g, '\n\n');
+  text = text.trim();
+
+  const lines = [];
+  text.split('\n').forEach(block => {
+    const trimmed = block.trim();
+    if (trimmed.length === 0) {
+      lines.push(''); // preserve intentional blank line
+    } else {
+      lines.push(...wrapText(trimmed, maxWidth));
+    }
+  });
+
+  return lines;
+}
+
+module.exports = {
+  formatDate,
+  formatTime,
+  CommaFormatted,
+  CurrencyFormatted,
+  shouldHideReceiptItemSku,
+  toFiniteNumber,
+  roundCurrency,
+  getSaleCashTendering,
+  padRight,
+  padLeft,
+  createTwoColumnLine,
+  getItemTableColumns,
+  getLineWidth,
+  wrapText,
+  htmlToReceiptLines
+};
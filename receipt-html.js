@@ -0,0 +1,235 @@
+const fs = require('fs');
+const bwipjs = require('bwip-js');
+const QRCode = require('qrcode');
+const { renderReceiptTemplate, buildTemplateContext } = require('./receipt-template');
+const { FONT_FAMILY, FONT_FILES } = require('./raster-text');
+
+// GS k function B codes (see escpos-codes.js) → bwip-js symbologies
+const BWIP_SYMBOLOGIES = {
+  65: 'upca',
+  66: 'upce',
+  67: 'ean13',
+  68: 'ean8',
+  69: 'code39',
+  70: 'interleaved2of5',
+  71: 'rationalizedCodabar',
+  73: 'code128'
+};
+
+// ESC/POS line spacing (1/6 inch at 203 dpi is ~34 dots; printers default to 30)
+const LINE_HEIGHT_DOTS = 30;
+
+// Monospace fonts advance 0.6em, so font size = character width / 0.6
+const MONOSPACE_ADVANCE = 0.6;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Stand-in for node-thermal-printer that records the same calls as HTML, so
+ * receipt templates can be laid out by Chromium for raster printing.
+ *
+ * Sizes are in printer dots and converted to CSS pixels for a page rendered
+ * at zoom dpi/96, where one dot is one device pixel. Paper cuts inside the
+ * template are ignored: the raster job cuts once after the whole image.
+ */
+class HtmlReceiptPrinter {
+  /**
+   * @param {{charWidth: number, widthDots: number, dpi: number}} layout
+   */
+  constructor({ charWidth, widthDots, dpi }) {
+    // Chromium shapes any script itself, so every string counts as printable
+    // text and raster-text never falls back to images
+    this.config = { width: charWidth, characterSet: 'UTF8' };
+    this.printer = { config: { CODE_PAGES: { UTF8: 'UTF-8' } } };
+
+    this.widthDots = widthDots;
+    this.dpi = dpi;
+    this.blocks = []; // HTML strings, or promises of them for images
+    this.spans = [];
+    this.style = { align: 'left', bold: false, underline: false, invert: false, font: 'A', width: 1, height: 1 };
+  }
+
+  px(dots) {
+    return `${(dots * 96 / this.dpi).toFixed(2)}px`;
+  }
+
+  get charDots() {
+    return this.widthDots / this.config.width;
+  }
+
+  // ----- Style -----
+  alignLeft() { this.style.align = 'left'; }
+  alignCenter() { this.style.align = 'center'; }
+  alignRight() { this.style.align = 'right'; }
+  bold(enabled) { this.style.bold = Boolean(enabled); }
+  underline(enabled) { this.style.underline = Boolean(enabled); }
+  invert(enabled) { this.style.invert = Boolean(enabled); }
+  setTypeFontA() { this.style.font = 'A'; }
+  setTypeFontB() { this.style.font = 'B'; }
+
+  // ESC ! resets bold, underline and font along with the size
+  setPrintMode(width, height) {
+    Object.assign(this.style, { width, height, bold: false, underline: false, font: 'A' });
+  }
+  setTextNormal() { this.setPrintMode(1, 1); }
+  setTextDoubleHeight() { this.setPrintMode(1, 2); }
+  setTextDoubleWidth() { this.setPrintMode(2, 1); }
+  setTextQuadArea() { this.setPrintMode(2, 2); }
+
+  // GS ! only changes the size; node-thermal-printer's first argument is the width
+  // (see setCharacterSize in escpos-codes.js)
+  setTextSize(width, height) {
+    this.style.width = width + 1;
+    this.style.height = height + 1;
+  }
+
+  // ----- Text -----
+  print(text) {
+    if (text === undefined || text === null || text === '') return;
+    this.spans.push(this.span(String(text)));
+  }
+
+  println(text) {
+    this.print(text);
+    this.newLine();
+  }
+
+  newLine() {
+    const content = this.spans.length ? this.spans.join('') : '&nbsp;';
+    this.blocks.push(`<div class="line" style="text-align:${this.style.align}">${content}</div>`);
+    this.spans = [];
+  }
+
+  drawLine(character = '-') {
+    this.println(character.repeat(this.config.width));
+  }
+
+  tableCustom(cells) {
+    const row = cells.map(cell => {
+      const align = String(cell.align || 'LEFT').toLowerCase();
+      const width = this.px((cell.cols || this.config.width / cells.length) * this.charDots);
+      return `<div class="cell" style="width:${width};text-align:${align}">${this.span(String(cell.text ?? ''))}</div>`;
+    }).join('');
+    this.flush();
+    this.blocks.push(`<div class="row">${row}</div>`);
+  }
+
+  span(text) {
+    const { bold, underline, invert, font, width, height } = this.style;
+    const fontDots = (font === 'B' ? 0.75 : 1) * this.charDots / MONOSPACE_ADVANCE * height;
+    const styles = [`font-size:${this.px(fontDots)}`, `line-height:${this.px(LINE_HEIGHT_DOTS * height)}`];
+    if (bold) styles.push('font-weight:bold');
+    if (underline) styles.push('text-decoration:underline');
+    if (invert) styles.push('background:#000;color:#fff');
+    if (width !== height) styles.push(`display:inline-block;transform:scaleX(${width / height});transform-origin:left`);
+    return `<span style="${styles.join(';')}">${escapeHtml(text)}</span>`;
+  }
+
+  /** Ends a partly printed line before a block element, as the printer would. */
+  flush() {
+    if (this.spans.length) this.newLine();
+  }
+
+  // ----- Images and codes -----
+  async printImageBuffer(png) {
+    this.image(Promise.resolve(png));
+  }
+
+  image(pngPromise, widthDots) {
+    this.flush();
+    const align = this.style.align;
+    this.blocks.push(pngPromise.then(png => {
+      const width = widthDots || png.readUInt32BE(16); // PNG IHDR width
+      return `<div class="line" style="text-align:${align}"><img src="data:image/png;base64,${png.toString('base64')}" style="width:${this.px(width)}"></div>`;
+    }));
+  }
+
+  code128(data, settings = {}) {
+    this.printBarcode(data, 73, settings);
+  }
+
+  printBarcode(data, type, settings = {}) {
+    const module = settings.width || 2;
+    const heightDots = settings.height || 80;
+    this.image(bwipjs.toBuffer({
+      bcid: BWIP_SYMBOLOGIES[type] || 'code128',
+      text: String(data),
+      scale: module,
+      height: heightDots * 25.4 / (72 * module), // bwip-js heights are mm at 72 dpi
+      includetext: settings.hriPos !== 0,
+      textxalign: 'center'
+    }));
+  }
+
+  printQR(data, { cellSize = 3, correction = 'M' } = {}) {
+    this.image(QRCode.toBuffer(String(data), { errorCorrectionLevel: correction, margin: 4, scale: cellSize }));
+  }
+
+  // ----- Paper and peripherals -----
+  cut() { this.flush(); }
+  partialCut() { this.flush(); }
+  add() { }
+
+  /** @returns {Promise<string>} Complete HTML document. */
+  async toHtml() {
+    this.flush();
+    const body = (await Promise.all(this.blocks)).join('\n');
+    const fontSize = this.px(this.charDots / MONOSPACE_ADVANCE);
+
+    // The page is a data: URL and cannot load files, so the font is inlined,
+    // and only when there is text the monospace fonts may not cover
+    const fontFaces = /[^\x00-\x7F]/.test(body) && Object.entries(FONT_FILES).map(([weight, file]) => `
+    @font-face {
+      font-family: '${FONT_FAMILY}';
+      font-weight: ${weight === 'bold' ? 'bold' : 'normal'};
+      src: url(data:font/ttf;base64,${fs.readFileSync(file).toString('base64')});
+    }`).join('') || '';
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>${fontFaces}
+    html, body { margin: 0; padding: 0; background: #fff; color: #000; }
+    body {
+      width: ${this.px(this.widthDots)};
+      font-family: 'Courier New', 'Liberation Mono', 'DejaVu Sans Mono', monospace, '${FONT_FAMILY}';
+      font-size: ${fontSize};
+      line-height: ${this.px(LINE_HEIGHT_DOTS)};
+    }
+    .line, .cell { white-space: pre-wrap; word-break: break-all; }
+    .row { display: flex; }
+    .cell { flex: none; }
+    img { image-rendering: pixelated; vertical-align: top; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+  }
+}
+
+/**
+ * Lays a receipt template out as HTML for raster printing.
+ *
+ * @param {object} template Receipt template.
+ * @param {object} data Sale record.
+ * @param {object} totals Sale totals.
+ * @param {object} options Request options (exposed to the template).
+ * @param {{charWidth: number, widthDots: number, dpi: number}} layout
+ * @returns {Promise<string>}
+ */
+async function buildReceiptHtml(template, data, totals, options, layout) {
+  const printer = new HtmlReceiptPrinter(layout);
+  await renderReceiptTemplate(printer, template, buildTemplateContext(data, totals, options));
+  return printer.toHtml();
+}
+
+module.exports = { HtmlReceiptPrinter, buildReceiptHtml };
@@ -0,0 +1,585 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  formatDate,
+  formatTime,
+  CommaFormatted,
+  CurrencyFormatted,
+  shouldHideReceiptItemSku,
+  getSaleCashTendering,
+  createTwoColumnLine,
+  getItemTableColumns,
+  getLineWidth,
+  wrapText,
+  htmlToReceiptLines
+} = require('./receipt-format');
+const { validateAndConvertImage } = require('./thermal-image');
+const { BARCODE_FORMATS, appendBarcode, appendQrCode, setCharacterSize } = require('./escpos-codes');
+const { MAX_FEED_LINES, isFeedLines } = require('./escpos-document');
+const { canPrintAsText, printRasterRow, printTextLine, printTableRow } = require('./raster-text');
+
+/**
+ * Declarative receipt templates rendered to ESC/POS through node-thermal-printer.
+ *
+ * A template is JSON: `{ "name": "...", "sections": [ ... ] }`. Each section has
+ * a `type` and may carry an `if` condition. Text values are strings with
+ * `{{path | filter}}` bindings, or arrays of parts (`"text"` or
+ * `{ "text", "if" }`) printed back to back.
+ *
+ * Section types:
+ *   style    Persistent style change: align, bold, size, font, invert, underline
+ *            (commands are emitted in the order the keys are written)
+ *   text     One line; `wrap: true` wraps at the paper width
+ *   columns  `left` / `right` justified across the full width
+ *   line     Full-width rule (`char` defaults to '-')
+ *   feed     `lines` blank lines (1-20, default 1)
+ *   logo     Image from `source`, or `fallback` text when absent or unusable;
+ *            `threshold` (0-255) defaults to the request's options.logoThreshold
+ *   items    Item table; `showSku` true | false | "auto", `header` labels or false
+ *   html     Basic HTML (React Quill output) converted to wrapped lines
+ *   barcode  Native barcode of `data`; format (default CODE128), height, width, hri
+ *   qr       QR code of `data`; size (dots per module), correction, and
+ *            `raster: true` to print it as an image on printers without native
+ *            QR (defaults to the request's options.rasterQr)
+ *   each     Renders `sections` for every entry of the `items` array, bound as `as`
+ *   group    Renders `sections` (use with `if` for optional blocks)
+ *   cut      Paper cut; `partial: true` for a partial cut
+ *
+ * text, columns and html sections also accept align, bold, size, font, invert
+ * and underline for that section only; barcode and qr sections accept align.
+ *
+ * Bindings and conditions see `data`, `totals` and `options` from the request,
+ * plus `receipt` (values derived from the sale, see buildTemplateContext).
+ *
+ * Conditions: "path" (truthy; empty arrays are false), "!path", or
+ * "path <op> literal" with ==, !=, >, >=, <, <= and a JSON literal. Terms
+ * joined with || need any one to hold; an array of conditions must all hold.
+ *
+ * Filters: date, time, money, abs, upper, lower, default:'fallback'.
+ *
+ * Text the printer's code page cannot encode (e.g. Bangla names) is printed
+ * as raster lines in the current style (see raster-text.js).
+ */
+
+const DEFAULT_RECEIPT_TEMPLATE = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'receipt-templates', 'default.json'), 'utf8')
+);
+
+const SECTION_TYPES = [
+  'style', 'text', 'columns', 'line', 'feed', 'logo', 'items', 'html', 'barcode', 'qr', 'each', 'group', 'cut'
+];
+const STYLE_KEYS = ['align', 'bold', 'size', 'font', 'invert', 'underline'];
+const NAMED_SIZES = {
+  normal: { width: 1, height: 1 },
+  'double-height': { width: 1, height: 2 },
+  'double-width': { width: 2, height: 1 },
+  quad: { width: 2, height: 2 }
+};
+const DEFAULT_ITEM_HEADERS = { sl: 'Sl', item: 'Item', qty: 'Qty', rate: 'Rate', amount: 'Amount' };
+
+/**
+ * Builds an ESC/POS receipt for a sale.
+ *
+ * @param {ThermalPrinter} printer node-thermal-printer instance (buffer only).
+ * @param {object} data Sale record from the BMS.
+ * @param {object} totals Computed sale totals.
+ * @param {object} [template] Receipt template; the shipped default when omitted.
+ * @param {object} [options] Extra request options exposed to the template as `options`.
+ */
+async function buildThermalReceipt(printer, data, totals, template = DEFAULT_RECEIPT_TEMPLATE, options = {}) {
+  await renderReceiptTemplate(printer, template, buildTemplateContext(data, totals, options));
+}
+
+/**
+ * Values templates can bind to under `receipt`, derived once from the sale so
+ * templates stay declarative.
+ */
+function buildTemplateContext(data, totals, options = {}) {
+  const location = data.location || {};
+  const cashTendering = getSaleCashTendering(data);
+  const firstAddress = data.customer?.addresses?.[0];
+  const customerAddress = firstAddress
+    ? [
+      firstAddress?.addressLine,
+      firstAddress?.area?.label,
+      firstAddress?.city?.label,
+      firstAddress?.zipcode,
+      firstAddress?.country
+    ].filter(Boolean).join(', ')
+    : '';
+
+  return {
+    data,
+    totals,
+    options,
+    receipt: {
+      title: (data.status !== 'Draft' && data.status !== 'Request') ? 'INVOICE' : 'QUOTATION',
+      binNumber: location.binNumber || data.binNumber || '',
+      vatFormNumber: location.vatFormNumber || data.vatFormNumber || '',
+      customerAddress,
+      cashTendering,
+      hasPayments: (totals.payments || []).length > 0 || Boolean(cashTendering),
+      visibleNotes: (data.notes || []).filter(n => n.visibleOnInvoice),
+      // Width does not matter for "is there any visible text", so don't wrap
+      hasTerms: htmlToReceiptLines(data.termsAndConditions, Infinity).some(line => line.trim().length > 0),
+      hideItemSku: shouldHideReceiptItemSku(data),
+      // Only a URL the caller sends; the agent does not know the BMS's routes
+      verificationUrl: options.verificationUrl || ''
+    }
+  };
+}
+
+/**
+ * Renders a template into the printer buffer.
+ *
+ * @param {ThermalPrinter} printer
+ * @param {object} template
+ * @param {object} context Binding scope (see buildTemplateContext).
+ */
+async function renderReceiptTemplate(printer, template, context) {
+  const state = { align: 'left', bold: false, size: { width: 1, height: 1 }, font: 'A', invert: false, underline: false };
+  await renderSections(printer, template.sections, context, state);
+}
+
+async function renderSections(printer, sections, scope, state) {
+  for (const section of sections) {
+    if (section.if !== undefined && !evaluateCondition(section.if, scope)) continue;
+    await renderSection(printer, section, scope, state);
+  }
+}
+
+async function renderSection(printer, section, scope, state) {
+  const charWidth = printer.config.width;
+
+  switch (section.type) {
+    case 'style':
+      Object.keys(section)
+        .filter(key => STYLE_KEYS.includes(key))
+        .forEach(key => applyStyle(printer, state, key, section[key]));
+      return;
+
+    case 'text':
+      return withInlineStyle(printer, section, state, async () => {
+        const parts = resolveParts(section.text, scope);
+        const text = parts.join('');
+
+        // Raster text wraps by itself, at the real glyph widths
+        if (!canPrintAsText(printer, text)) {
+          if (text || !section.wrap) await printTextLine(printer, text, state);
+          return;
+        }
+
+        if (section.wrap) {
+          if (!text) return;
+          wrapText(text, getLineWidth(printer, state.font)).forEach(line => printer.println(line));
+          return;
+        }
+        parts.forEach(part => printer.print(part));
+        printer.newLine();
+      });
+
+    case 'columns':
+      return withInlineStyle(printer, section, state, async () => {
+        const left = resolveText(section.left, scope);
+        const right = resolveText(section.right, scope);
+
+        if (canPrintAsText(printer, left + right)) {
+          printer.println(createTwoColumnLine(left, right, getLineWidth(printer, state.font)));
+          return;
+        }
+        await printRasterRow(printer, [
+          { text: left, cols: charWidth, align: 'LEFT', start: 0 },
+          { text: right, cols: charWidth, align: 'RIGHT', start: 0 }
+        ], state);
+      });
+
+    case 'line':
+      printer.drawLine(section.char);
+      return;
+
+    case 'feed':
+      for (let i = 0; i < (section.lines || 1); i++) printer.newLine();
+      return;
+
+    case 'logo':
+      return renderLogo(printer, section, scope, state);
+
+    case 'items':
+      return renderItems(printer, section, scope, state);
+
+    case 'html':
+      return withInlineStyle(printer, section, state, async () => {
+        for (const line of htmlToReceiptLines(resolveText(section.html, scope), getLineWidth(printer, state.font))) {
+          await printTextLine(printer, line, state);
+        }
+      });
+
+    // Only align applies inline here: `size` is the QR module size
+    case 'barcode':
+      return withInlineStyle(printer, { align: section.align }, state, () => {
+        const data = resolveText(section.data, scope);
+        if (data) appendBarcode(printer, { ...section, data });
+      });
+
+    case 'qr':
+      return withInlineStyle(printer, { align: section.align }, state, async () => {
+        const data = resolveText(section.data, scope);
+        if (!data) return;
+        await appendQrCode(printer, data, {
+          size: section.size,
+          correction: section.correction,
+          raster: section.raster ?? Boolean(scope.options.rasterQr)
+        });
+      });
+
+    case 'each': {
+      const entries = resolvePath(section.items, scope);
+      if (!Array.isArray(entries)) return;
+      const name = section.as || 'item';
+      for (let index = 0; index < entries.length; index++) {
+        await renderSections(printer, section.sections, { ...scope, [name]: entries[index], index }, state);
+      }
+      return;
+    }
+
+    case 'group':
+      return renderSections(printer, section.sections, scope, state);
+
+    case 'cut':
+      if (section.partial) printer.partialCut();
+      else printer.cut();
+      return;
+
+    default:
+      throw new Error(`Unknown receipt section type: ${section.type}`);
+  }
+}
+
+/**
+ * Emits one style command and records it in `state`. Named sizes use ESC !,
+ * which also resets bold and font on the printer, so the state follows suit.
+ */
+function applyStyle(printer, state, key, value) {
+  switch (key) {
+    case 'align':
+      if (value === 'center') printer.alignCenter();
+      else if (value === 'right') printer.alignRight();
+      else printer.alignLeft();
+      state.align = value;
+      return;
+
+    case 'bold':
+      printer.bold(Boolean(value));
+      state.bold = Boolean(value);
+      return;
+
+    case 'size':
+      if (typeof value === 'string') {
+        if (value === 'quad') printer.setTextQuadArea();
+        else if (value === 'double-height') printer.setTextDoubleHeight();
+        else if (value === 'double-width') printer.setTextDoubleWidth();
+        else printer.setTextNormal();
+        state.size = { ...NAMED_SIZES[value] || NAMED_SIZES.normal };
+        state.bold = false;
+        state.font = 'A';
+        state.underline = false;
+      } else {
+        setCharacterSize(printer, value);
+        state.size = { width: value.width || 1, height: value.height || 1 };
+      }
+      return;
+
+    case 'font':
+      if (value === 'B') printer.setTypeFontB();
+      else printer.setTypeFontA();
+      state.font = value === 'B' ? 'B' : 'A';
+      return;
+
+    case 'invert':
+      printer.invert(Boolean(value));
+      state.invert = Boolean(value);
+      return;
+
+    case 'underline':
+      printer.underline(Boolean(value));
+      state.underline = Boolean(value);
+      return;
+  }
+}
+
+/**
+ * Runs `render` with the section's own style, then puts the previous style
+ * back. Sizes are switched with GS ! here so bold and font are not disturbed.
+ */
+async function withInlineStyle(printer, section, state, render) {
+  const changed = STYLE_KEYS.filter(key => section[key] !== undefined);
+  const previous = {};
+
+  changed.forEach(key => {
+    previous[key] = state[key];
+    if (key === 'size') {
+      const size = typeof section.size === 'string' ? NAMED_SIZES[section.size] || NAMED_SIZES.normal : section.size;
+      setCharacterSize(printer, size);
+      state.size = { width: size.width || 1, height: size.height || 1 };
+    } else {
+      applyStyle(printer, state, key, section[key]);
+    }
+  });
+
+  await render();
+
+  changed.reverse().forEach(key => {
+    if (key === 'size') {
+      setCharacterSize(printer, previous.size);
+      state.size = previous.size;
+    } else {
+      applyStyle(printer, state, key, previous[key]);
+    }
+  });
+}
+
+async function renderLogo(printer, section, scope, state) {
+  // Logo (base64, data URI, or URL). Fall back to text only if logo is absent or fails.
+  const source = resolveText(section.source, scope);
+  let logoBuffer = null;
+  if (source) {
+    try {
+      logoBuffer = await validateAndConvertImage(source, section.threshold ?? scope.options.logoThreshold);
+    } catch (err) {
+      console.error('Logo render failed, falling back to text header:', err);
+    }
+  }
+
+  if (logoBuffer) {
+    await printer.printImageBuffer(logoBuffer);
+    for (let i = 0; i < (section.feedAfter ?? 2); i++) printer.newLine();
+  } else if (section.fallback !== undefined) {
+    await printTextLine(printer, resolveText(section.fallback, scope), state);
+  }
+}
+
+async function renderItems(printer, section, scope, state) {
+  const { data, receipt } = scope;
+  const tableCols = getItemTableColumns(printer.config.width);
+  const hideItemSku = section.showSku === 'auto' || section.showSku === undefined
+    ? receipt.hideItemSku
+    : !section.showSku;
+
+  if (section.header !== false) {
+    const headers = { ...DEFAULT_ITEM_HEADERS, ...(section.header || {}) };
+    await printTableRow(printer, [
+      { text: headers.sl, align: "LEFT", cols: tableCols.sl },
+      { text: headers.item, align: "LEFT", cols: tableCols.item },
+      { text: headers.qty, align: "RIGHT", cols: tableCols.qty },
+      { text: headers.rate, align: "RIGHT", cols: tableCols.rate },
+      { text: headers.amount, align: "RIGHT", cols: tableCols.amount }
+    ], state);
+    printer.drawLine();
+  }
+
+  // Items - Full width for each item
+  const items = data.items || [];
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    const itemName = [
+      hideItemSku ? null : item.itemSku,
+      item.variantName,
+      item.itemName
+    ].filter(Boolean).join(' - ');
+    const serialNum = `${index + 1}.`;
+
+    // Wrap the item name to fit within the item column (raster rows wrap by themselves)
+    const wrappedLines = canPrintAsText(printer, itemName) ? wrapText(itemName, tableCols.item) : [itemName];
+
+    // Determine rate display: show "(inc.)" for bundle items with rate 0
+    const rateDisplay = (item.isBundleExpanded && item.unitPrice === 0)
+      ? '(inc.)'
+      : CommaFormatted(CurrencyFormatted(item.unitPrice));
+
+    const itemQuantity = Number(item.quantity) || 0;
+    const itemRate = Number(item.unitPrice) || 0;
+    const quantityDisplay = (item.quantity ?? 0).toString();
+    const amountDisplay = CommaFormatted(CurrencyFormatted(itemRate * itemQuantity));
+
+    // Print first line with serial number, item name, qty, rate, and amount
+    await printTableRow(printer, [
+      { text: serialNum, align: "LEFT", cols: tableCols.sl },
+      { text: wrappedLines[0], align: "LEFT", cols: tableCols.item },
+      { text: quantityDisplay, align: "RIGHT", cols: tableCols.qty },
+      { text: rateDisplay, align: "RIGHT", cols: tableCols.rate },
+      { text: amountDisplay, align: "RIGHT", cols: tableCols.amount }
+    ], state);
+
+    // Print remaining lines (if any) with empty serial/qty/rate/amount columns
+    for (let i = 1; i < wrappedLines.length; i++) {
+      printer.tableCustom([
+        { text: "", align: "LEFT", cols: tableCols.sl },
+        { text: wrappedLines[i], align: "LEFT", cols: tableCols.item },
+        { text: "", align: "RIGHT", cols: tableCols.qty },
+        { text: "", align: "RIGHT", cols: tableCols.rate },
+        { text: "", align: "RIGHT", cols: tableCols.amount }
+      ]);
+    }
+  }
+}
+
+/** Reads a dotted path ("data.customer.name", "totals.payments.length") from the scope. */
+function resolvePath(pathExpression, scope) {
+  return String(pathExpression).split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    scope
+  );
+}
+
+const FILTERS = {
+  date: (value) => formatDate(value),
+  time: (value) => formatTime(value),
+  money: (value) => CommaFormatted(CurrencyFormatted(value)),
+  abs: (value) => Math.abs(Number(value) || 0),
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  default: (value, fallback) => value || fallback
+};
+
+/** Replaces {{path | filter:arg}} bindings in a string. */
+function interpolate(text, scope) {
+  return String(text ?? '').replace(/\{\{\s*([^}]+?)\s*\}\}/g, (_match, expression) => {
+    const [pathExpression, ...filters] = expression.split('|').map(part => part.trim());
+    let value = resolvePath(pathExpression, scope);
+
+    filters.forEach(filter => {
+      const separator = filter.indexOf(':');
+      const name = separator === -1 ? filter : filter.slice(0, separator).trim();
+      const arg = separator === -1 ? undefined : parseLiteral(filter.slice(separator + 1).trim());
+      if (!FILTERS[name]) throw new Error(`Unknown receipt template filter: ${name}`);
+      value = FILTERS[name](value, arg, scope);
+    });
+
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+/** Text value → list of interpolated parts whose conditions hold. */
+function resolveParts(text, scope) {
+  const parts = Array.isArray(text) ? text : [text];
+  return parts
+    .filter(part => typeof part !== 'object' || part === null || part.if === undefined || evaluateCondition(part.if, scope))
+    .map(part => interpolate(typeof part === 'object' && part !== null ? part.text : part, scope));
+}
+
+function resolveText(text, scope) {
+  return resolveParts(text, scope).join('');
+}
+
+const CONDITION_PATTERN = /^(!?)\s*([\w.]+)\s*(?:(==|!=|>=|<=|>|<)\s*(.+))?$/;
+
+function evaluateCondition(condition, scope) {
+  if (Array.isArray(condition)) {
+    return condition.every(c => evaluateCondition(c, scope));
+  }
+
+  const alternatives = String(condition).split('||');
+  if (alternatives.length > 1) {
+    return alternatives.some(c => evaluateCondition(c, scope));
+  }
+
+  const match = CONDITION_PATTERN.exec(String(condition).trim());
+  if (!match) throw new Error(`Invalid receipt template condition: ${condition}`);
+
+  const [, negate, pathExpression, operator, literal] = match;
+  const value = resolvePath(pathExpression, scope);
+
+  let result;
+  if (!operator) {
+    result = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  } else {
+    const expected = parseLiteral(literal);
+    switch (operator) {
+      case '==': result = value === expected; break;
+      case '!=': result = value !== expected; break;
+      case '>': result = Number(value) > expected; break;
+      case '>=': result = Number(value) >= expected; break;
+      case '<': result = Number(value) < expected; break;
+      case '<=': result = Number(value) <= expected; break;
+    }
+  }
+
+  return negate ? !result : result;
+}
+
+/** Parses a JSON literal; single-quoted strings are accepted too. */
+function parseLiteral(literal) {
+  const text = String(literal).trim();
+  if (/^'.*'$/.test(text)) return text.slice(1, -1);
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Checks a template's structure before it is stored or printed.
+ *
+ * @returns {string|null} A description of the first problem, or null when valid.
+ */
+function validateReceiptTemplate(template) {
+  if (!template || typeof template !== 'object' || !Array.isArray(template.sections)) {
+    return 'Template must be an object with a sections array';
+  }
+  return validateSections(template.sections, 'sections');
+}
+
+function validateSections(sections, where) {
+  for (let i = 0; i < sections.length; i++) {
+    const section = sections[i];
+    const at = `${where}[${i}]`;
+
+    if (!section || typeof section !== 'object') return `${at} must be an object`;
+    if (!SECTION_TYPES.includes(section.type)) return `${at} has unknown type "${section.type}"`;
+
+    try {
+      if (section.if !== undefined) {
+        [].concat(section.if)
+          .flatMap(c => String(c).split('||'))
+          .forEach(c => {
+            if (!CONDITION_PATTERN.test(c.trim())) throw new Error(`invalid condition "${c.trim()}"`);
+          });
+      }
+    } catch (error) {
+      return `${at} has an ${error.message}`;
+    }
+
+    if ((section.type === 'barcode' || section.type === 'qr') && !section.data) {
+      return `${at} (${section.type}) needs data`;
+    }
+    if (section.type === 'barcode' && section.format !== undefined
+      && BARCODE_FORMATS[String(section.format).toUpperCase()] === undefined) {
+      return `${at} has unsupported barcode format "${section.format}"`;
+    }
+    if (section.type === 'feed' && section.lines !== undefined && !isFeedLines(section.lines)) {
+      return `${at} (feed) lines must be a whole number from 1 to ${MAX_FEED_LINES}`;
+    }
+    if (section.type === 'logo' && section.feedAfter !== undefined
+      && !(Number.isInteger(section.feedAfter) && section.feedAfter >= 0 && section.feedAfter <= MAX_FEED_LINES)) {
+      return `${at} (logo) feedAfter must be a whole number from 0 to ${MAX_FEED_LINES}`;
+    }
+    if (section.type === 'each' && typeof section.items !== 'string') {
+      return `${at} (each) needs an items path`;
+    }
+    if ((section.type === 'each' || section.type === 'group')) {
+      if (!Array.isArray(section.sections)) return `${at} (${section.type}) needs a sections array`;
+      const nested = validateSections(section.sections, `${at}.sections`);
+      if (nested) return nested;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_RECEIPT_TEMPLATE,
+  buildThermalReceipt,
+  buildTemplateContext,
+  renderReceiptTemplate,
+  validateReceiptTemplate
+};
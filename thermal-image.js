@@ -0,0 +1,142 @@
+const http = require('http');
+const https = require('https');
+
+const fetchBufferFromUrl = (url, redirects = 0) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https') ? https : http;
+  const req = client.get(url, { timeout: 10000, headers: { 'User-Agent': 'prosystem-print-agent/1.0' } }, (res) => {
+    // Handle redirects (up to 3 hops)
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      if (redirects >= 3) return reject(new Error('Too many redirects while fetching logo'));
+      return resolve(fetchBufferFromUrl(res.headers.location, redirects + 1));
+    }
+
+    if (res.statusCode !== 200) {
+      return reject(new Error(`HTTP ${res.statusCode}`));
+    }
+
+    const chunks = [];
+    let total = 0;
+    const maxBytes = 2 * 1024 * 1024; // 2 MB safety cap
+
+    res.on('data', (chunk) => {
+      total += chunk.length;
+      if (total > maxBytes) {
+        req.destroy(new Error('Image too large'));
+        return reject(new Error('Image too large'));
+      }
+      chunks.push(chunk);
+    });
+
+    res.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+
+  req.on('error', reject);
+  req.on('timeout', () => {
+    req.destroy();
+    reject(new Error('Image download timed out'));
+  });
+});
+
+/**
+ * Raw image bytes from a data URI, a base64 string or an http/https URL.
+ */
+async function loadImageBuffer(imageSource) {
+  const isUrl = /^https?:\/\//i.test(imageSource);
+  if (isUrl) {
+    return fetchBufferFromUrl(imageSource);
+  }
+
+  // Remove data URI prefix if present
+  const base64String = imageSource.includes(',')
+    ? imageSource.split(',')[1]
+    : imageSource;
+  return Buffer.from(base64String, 'base64');
+}
+
+/**
+ * Download or decode an image and convert it to a small, high-contrast PNG buffer
+ * suitable for thermal printers (max width ~260px).
+ *
+ * Accepts:
+ * - Data URI (data:image/png;base64,...)
+ * - Raw base64 string
+ * - http/https URL
+ *
+ * `threshold` is the grey level (0-255) below which a pixel prints; raise it
+ * for faint logos, lower it for dark ones.
+ */
+async function validateAndConvertImage(imageSource, threshold = 180) {
+  const sharp = require('sharp'); // npm install sharp
+
+  try {
+    const buffer = await loadImageBuffer(imageSource);
+
+    // Convert to PNG, flatten transparency, and apply threshold for thermal clarity
+    const processedBuffer = await sharp(buffer)
+      .flatten({ background: '#FFFFFF' }) // remove transparency to avoid inverted artifacts
+      .resize({ width: 300, fit: 'inside' })
+      .threshold(threshold) // make it high-contrast for thermal printing
+      .png()
+      .toBuffer();
+
+    console.log(`Logo prepared: ${processedBuffer.length} bytes (source ~${buffer.length} bytes)`);
+    return processedBuffer;
+  } catch (error) {
+    console.error('Image validation failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Scales an image to `widthDots` and packs it into 1-bit rows for label and
+ * raster printer commands. Rows are padded to whole bytes, MSB first, and a
+ * set bit is a black dot.
+ *
+ * @param {string|Buffer} imageSource Data URI, base64 string, http/https URL or image bytes.
+ * @param {number} widthDots Target width in printer dots.
+ * @param {number} [threshold=180] Grey level (0-255) below which a pixel prints.
+ * @param {{dither?: boolean}} [options] dither: Floyd-Steinberg error diffusion
+ *   instead of a hard threshold, for photos and anti-aliased text.
+ * @returns {Promise<{widthBytes: number, height: number, bits: Buffer}>}
+ */
+async function rasterizeImage(imageSource, widthDots, threshold = 180, { dither = false } = {}) {
+  const sharp = require('sharp');
+
+  const source = Buffer.isBuffer(imageSource) ? imageSource : await loadImageBuffer(imageSource);
+  const { data, info } = await sharp(source)
+    .flatten({ background: '#FFFFFF' })
+    .resize({ width: Math.max(1, Math.round(widthDots)) })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height, channels } = info;
+  const widthBytes = Math.ceil(width / 8);
+  const bits = Buffer.alloc(widthBytes * height);
+  const levels = new Float32Array(width * height);
+  for (let i = 0; i < levels.length; i++) levels[i] = data[i * channels];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const black = levels[i] < threshold;
+      if (black) {
+        bits[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+      if (!dither) continue;
+
+      // Spread the rounding error to the right and to the row below
+      const error = levels[i] - (black ? 0 : 255);
+      if (x + 1 < width) levels[i + 1] += error * 7 / 16;
+      if (y + 1 < height) {
+        if (x > 0) levels[i + width - 1] += error * 3 / 16;
+        levels[i + width] += error * 5 / 16;
+        if (x + 1 < width) levels[i + width + 1] += error * 1 / 16;
+      }
+    }
+  }
+
+  return { widthBytes, height, bits };
+}
+
+module.exports = { validateAndConvertImage, loadImageBuffer, rasterizeImage };
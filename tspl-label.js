@@ -0,0 +1,117 @@
+const { mmToDots, expandLabels, rasterizeLabelImages } = require('./label-definition');
+
+// Built-in bitmap fonts (dots at 203 dpi): name → character cell
+const TSPL_FONTS = [
+  { name: '1', width: 8, height: 12 },
+  { name: '2', width: 12, height: 20 },
+  { name: '3', width: 16, height: 24 },
+  { name: '4', width: 24, height: 32 },
+  { name: '5', width: 32, height: 48 }
+];
+
+const BARCODE_TYPES = { code128: '128', ean13: 'EAN13' };
+
+/** TSPL strings are double-quoted; a literal quote is written as \["]. */
+function quoted(value) {
+  return `"${String(value).replace(/"/g, '\\["]')}"`;
+}
+
+/**
+ * The built-in font and multiplier closest to a character height in dots.
+ * Cheap TSPL printers often lack the scalable font, so only fonts 1-5 are used.
+ */
+function pickFont(heightDots) {
+  let best = null;
+  TSPL_FONTS.forEach(font => {
+    for (let multiplier = 1; multiplier <= 10; multiplier++) {
+      const error = Math.abs(font.height * multiplier - heightDots);
+      // On a tie the larger native font wins over scaling up a small one
+      if (!best || error < best.error || (error === best.error && multiplier < best.multiplier)) {
+        best = { font, multiplier, error };
+      }
+    }
+  });
+  return best;
+}
+
+function tsplField(field, dpi, image) {
+  const dots = (mm) => mmToDots(mm, dpi);
+  let x = dots(field.x);
+  const y = dots(field.y);
+  const rotation = field.rotate || 0;
+
+  switch (field.type) {
+    case 'text': {
+      const { font, multiplier } = pickFont(dots(field.size || 3));
+
+      // TEXT has no alignment on older firmware, so offset x by the estimated text width
+      if (field.width && (field.align === 'center' || field.align === 'right')) {
+        const textWidth = String(field.text).length * font.width * multiplier;
+        const free = Math.max(0, dots(field.width) - textWidth);
+        x += field.align === 'center' ? Math.floor(free / 2) : free;
+      }
+      return `TEXT ${x},${y},"${font.name}",${rotation},${multiplier},${multiplier},${quoted(field.text)}`;
+    }
+
+    case 'barcode': {
+      const height = Math.max(1, dots(field.height || 10));
+      const module = field.module || 2;
+      const readable = field.hri === false ? 0 : 1;
+      const type = BARCODE_TYPES[field.format || 'code128'];
+      return `BARCODE ${x},${y},"${type}",${height},${readable},${rotation},${module},${module},${quoted(field.data)}`;
+    }
+
+    case 'qr': {
+      const cell = Math.max(1, Math.min(10, field.magnification || 4));
+      return `QRCODE ${x},${y},M,${cell},A,0,${quoted(field.data)}`;
+    }
+
+    case 'box': {
+      const thickness = Math.max(1, dots(field.thickness || 0.3));
+      return `BOX ${x},${y},${x + dots(field.width)},${y + dots(field.height)},${thickness}`;
+    }
+
+    case 'image': {
+      // BITMAP data is binary with 0 = black, the inverse of rasterizeImage
+      const bits = Buffer.from(image.bits.map(byte => ~byte & 0xff));
+      return Buffer.concat([
+        Buffer.from(`BITMAP ${x},${y},${image.widthBytes},${image.height},0,`),
+        bits
+      ]);
+    }
+  }
+  return '';
+}
+
+/**
+ * TSPL for a label definition: each distinct label is drawn after CLS and
+ * printed `copies` times with PRINT 1,n.
+ *
+ * @param {object} definition Validated label definition.
+ * @param {{widthMM: number, heightMM: number, dpi: number, gapMM: number}} media From resolveLabelMedia.
+ * @returns {Promise<Buffer>}
+ */
+async function buildTsplLabels(definition, media) {
+  const { dpi } = media;
+  const copies = definition.copies || 1;
+  const images = await rasterizeLabelImages(definition, dpi);
+
+  const lines = [
+    `SIZE ${media.widthMM} mm,${media.heightMM} mm`,
+    `GAP ${media.gapMM} mm,0 mm`,
+    'CODEPAGE UTF-8'
+  ];
+
+  expandLabels(definition).forEach(fields => {
+    lines.push('CLS');
+    fields.forEach((field, i) => lines.push(tsplField(field, dpi, images.get(i))));
+    lines.push(`PRINT 1,${copies}`);
+  });
+
+  return Buffer.concat(lines.map(line => Buffer.concat([
+    Buffer.isBuffer(line) ? line : Buffer.from(line, 'utf8'),
+    Buffer.from('\r\n')
+  ])));
+}
+
+module.exports = { buildTsplLabels };
@@ -0,0 +1,91 @@
+const { mmToDots, expandLabels, rasterizeLabelImages } = require('./label-definition');
+
+// ^A / ^B field orientation for each rotation in degrees
+const ORIENTATION = { 0: 'N', 90: 'R', 180: 'I', 270: 'B' };
+
+const JUSTIFY = { left: 'L', center: 'C', right: 'R' };
+
+/**
+ * ^FH_ lets field data carry the characters ZPL treats as commands:
+ * everything after an underscore is read as two hex digits.
+ */
+function fieldData(value) {
+  const escaped = String(value)
+    .replace(/_/g, '_5F')
+    .replace(/\^/g, '_5E')
+    .replace(/~/g, '_7E');
+  return `^FH_^FD${escaped}^FS`;
+}
+
+function zplField(field, dpi, image) {
+  const dots = (mm) => mmToDots(mm, dpi);
+  const origin = `^FO${dots(field.x)},${dots(field.y)}`;
+  const orientation = ORIENTATION[field.rotate || 0];
+
+  switch (field.type) {
+    case 'text': {
+      const height = Math.max(10, dots(field.size || 3));
+      const block = field.width
+        ? `^FB${dots(field.width)},1,0,${JUSTIFY[field.align] || 'L'},0`
+        : '';
+      return `${origin}^A0${orientation},${height},${height}${block}${fieldData(field.text)}`;
+    }
+
+    case 'barcode': {
+      const height = Math.max(1, dots(field.height || 10));
+      const hri = field.hri === false ? 'N' : 'Y';
+      const module = `^BY${field.module || 2}`;
+      const symbology = field.format === 'ean13'
+        ? `^BE${orientation},${height},${hri},N`
+        : `^BC${orientation},${height},${hri},N,N`;
+      return `${module}${origin}${symbology}${fieldData(field.data)}`;
+    }
+
+    case 'qr': {
+      // ^FD for ^BQ starts with error correction (M) and input mode (A = automatic)
+      const magnification = Math.max(1, Math.min(10, field.magnification || 4));
+      return `${origin}^BQN,2,${magnification}${fieldData(`MA,${field.data}`)}`;
+    }
+
+    case 'box': {
+      const thickness = Math.max(1, dots(field.thickness || 0.3));
+      return `${origin}^GB${dots(field.width)},${dots(field.height)},${thickness}^FS`;
+    }
+
+    case 'image': {
+      // ^GF in ASCII hex: set bits are black, as rasterizeImage packs them
+      const total = image.bits.length;
+      return `${origin}^GFA,${total},${total},${image.widthBytes},${image.bits.toString('hex').toUpperCase()}^FS`;
+    }
+  }
+  return '';
+}
+
+/**
+ * ZPL II for a label definition: one ^XA..^XZ format per distinct label,
+ * each printed `copies` times with ^PQ.
+ *
+ * @param {object} definition Validated label definition.
+ * @param {{widthMM: number, heightMM: number, dpi: number}} media From resolveLabelMedia.
+ * @returns {Promise<Buffer>}
+ */
+async function buildZplLabels(definition, media) {
+  const { dpi } = media;
+  const copies = definition.copies || 1;
+  const images = await rasterizeLabelImages(definition, dpi);
+
+  const zpl = expandLabels(definition).map(fields => [
+    '^XA',
+    '^CI28', // UTF-8 field data
+    `^PW${mmToDots(media.widthMM, dpi)}`,
+    `^LL${mmToDots(media.heightMM, dpi)}`,
+    '^LH0,0',
+    ...fields.map((field, i) => zplField(field, dpi, images.get(i))),
+    `^PQ${copies},0,1,Y`,
+    '^XZ'
+  ].join('\n')).join('\n') + '\n';
+
+  return Buffer.from(zpl, 'utf8');
+}
+
+module.exports = { buildZplLabels };